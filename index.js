@@ -1,12 +1,16 @@
 // An extension that allows you to import characters from CHub.
-// TODO: allow multiple characters to be imported at once
 import {
     getRequestHeaders,
     processDroppedFiles,
-    callPopup
+    callPopup,
+    saveSettingsDebounced,
+    characters as installedCharacters,
+    getCharacters
 } from "../../../../script.js";
 import { delay, debounce } from "../../../utils.js";
 import { extension_settings } from "../../../extensions.js";
+import { tags, tag_map, createNewTag } from "../../../tags.js";
+import { world_info, world_names, updateWorldInfoList } from "../../../world-info.js";
 
 const extensionName = "SillyTavern-Chub-Search";
 const extensionFolderPath = `scripts/extensions/${extensionName}/`;
@@ -14,14 +18,77 @@ const extensionFolderPath = `scripts/extensions/${extensionName}/`;
 // Endpoint for API call
 const API_ENDPOINT_SEARCH = "https://gateway.chub.ai/search";
 const API_ENDPOINT_DOWNLOAD = "https://api.chub.ai/api/characters/download";
+const CHUB_CHARACTER_ENDPOINT = "https://api.chub.ai/api/characters";
+const CHUB_LOREBOOK_DOWNLOAD_ENDPOINT = "https://api.chub.ai/api/lorebooks/download";
+const CHUB_PROJECT_ENDPOINT = "https://api.chub.ai/api/v4/projects";
+const CHUB_GALLERY_ENDPOINT = "https://api.chub.ai/api/gallery/project";
+const CHUB_PRESET_DOWNLOAD_ENDPOINT = "https://api.chub.ai/api/presets/download";
+const CHUB_TAGS_ENDPOINT = "https://api.chub.ai/tags";
 const JANITOR_API_ENDPOINT = "https://janitorai.com/hampter/characters";
+const JANITOR_PROFILE_ENDPOINT = "https://janitorai.com/hampter/profiles";
+const JANITOR_TAGS_ENDPOINT = "https://janitorai.com/hampter/tags";
 const AICC_API_ENDPOINT = "https://aicharactercards.com/wp-admin/admin-ajax.php";
+const AICC_REST_ENDPOINT = "https://aicharactercards.com/wp-json/wp/v2";
+const AICC_MAX_POST_IDS = 100; // WordPress REST API maximum per request
+// Post ids of the AICC featured feed, shown when no search, tags or sort order are given
+const AICC_FEATURED_POST_IDS = [
+    3427, 3401, 3435, 4416, 3400, 3423, 3312, 3443, 3417, 3371, 3409, 3441, 3439, 4091, 3397, 3344, 4276, 3421, 3396, 3394, 3336, 7070, 3360, 3628, 4252, 3317, 3405, 3373, 3274, 3338, 3277, 3359, 4492, 5198, 3355, 3403, 3402, 6255, 4246, 4099, 6358, 3375, 3407, 3365, 5482, 4237, 3314, 5539, 5920, 4719, 3437, 4259, 3364, 4839, 6848, 5695, 5731, 4565, 3367, 5137, 3445, 3415, 5954, 5073, 5376, 3413, 7167, 3301, 3313, 5262, 4280, 3276, 3641, 8220, 3278, 5360, 5615, 4665, 5976, 3372, 7858, 7198, 3318, 5827, 5075, 3358, 5899, 7663, 6945, 3395, 5083, 3352, 3334, 5189, 4972, 3347, 6687, 4673, 3411, 6625, 3626, 5353, 5599, 3307, 5071, 6812, 6928, 5479, 8224, 3331, 5689, 7647, 5869, 3425, 7177, 5077, 5500, 8207, 7315, 9172, 5288, 5139, 3348, 6735, 4084, 7289, 8468, 6930, 5601, 7024, 4282, 4970, 8376, 7325, 7553, 4208, 6970, 5662, 7170, 6845, 8517, 6905, 7761, 7773, 7086, 6684, 6761, 9164, 6907, 7285, 7499, 6426, 6913, 7296, 6909, 8612, 6682, 6911, 6424, 8526, 7186, 7183, 7691, 8837, 9187, 9274, 9117, 9193, 9286
+];
 const CHARACTER_TAVERN_CONFIG_URL = "https://corsproxy.io/?https://character-tavern.com/_app/immutable/chunks/tGxJOdv0.js";
 const CHARACTER_TAVERN_SEARCH_ENDPOINT = "https://corsproxy.io/?https://search.character-tavern.com/indexes/characters/search";
 const CRAWL_API_ENDPOINT = "http://localhost:7010/crawl";
 const CRAWL_API_KEY = "sk-*";
 const TRANSLATE_API_ENDPOINT = "http://localhost:7009/translate";
 const TRANSLATE_API_KEY = "sk-*";
+const DEFAULT_AVATAR_URL = "/img/ai4.png"; // SillyTavern's default character avatar
+const EXTENSION_DATA_KEY = "chub_search"; // Key of this extension's data in a card's `extensions`
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+const IMPORT_CONCURRENCY = 3; // Cards downloaded and uploaded at once by the bulk import queue
+const CONTENT_HASH_LOAD_LIMIT = 20; // Installed characters without a recorded hash loaded per duplicate check, see findInstalledCharacterForCard
+const FEDERATED_SEARCH_TIMEOUT = 20000; // ms before a slow source is dropped from an "All sources" search
+const THUMBNAIL_CONCURRENCY = 4; // Thumbnails downloaded at once as they scroll into view
+const CACHE_DB_NAME = "SillyTavern-Chub-Search";
+const CACHE_STORE_NAME = "cache";
+const DEFAULT_CACHE_TTL_MINUTES = 60; // For providers without a cacheTtl setting
+const CONTENT_TYPE_LABELS = { characters: "Characters", lorebooks: "Lorebooks", presets: "Presets" };
+// Readable names of SillyTavern's preset types, by the apiId /api/presets/save takes
+const PRESET_TYPE_LABELS = {
+    openai: "Chat Completion",
+    textgenerationwebui: "Text Completion",
+    kobold: "KoboldAI",
+    novel: "NovelAI",
+    instruct: "Instruct template",
+    context: "Context template",
+    sysprompt: "System prompt"
+};
+const SEARCH_HISTORY_LIMIT = 20; // Recent searches kept in the saved search dropdown
+const TAG_SUGGESTION_LIMIT = 15; // Suggestions shown by the tag picker
+const LEARNED_TAG_LIMIT = 2000; // Tag identifiers remembered per provider across reloads, oldest are dropped first
+// Local result filters, see getLocalFilterFailures, with their labels for the filter summary
+const LOCAL_FILTER_LABELS = {
+    excludeTags: 'excluded tags',
+    tokens: 'token range',
+    createdAfter: 'created after',
+    minStars: 'min stars',
+    minChats: 'min chats',
+    requireDownload: 'card download'
+};
+// Canonical tag name -> names the providers use for the same concept, see canonicalTagKey.
+// Extended by the user's own table in `tagAliases`.
+const DEFAULT_TAG_ALIASES = {
+    "Sci-Fi": ["scifi", "science fiction"],
+    "Female": ["woman", "female character"],
+    "Male": ["man", "male character"],
+    "Non-Human": ["nonhuman"],
+    "Video Games": ["video game", "game characters"],
+    "Roleplay": ["rp", "roleplaying"],
+    "Romance": ["romantic"],
+    "Comedy": ["funny", "humor", "humour"],
+    "OC": ["original character"],
+    "Furry": ["anthro", "anthropomorphic"]
+};
+const CHUB_MAX_TOKENS = 100000; // Upper token limit CHub searches send when no maximum is set
+const TOKEN_SLIDER_MAX = 16000; // Top of the token sliders, which stands for "no upper limit"
 
 const defaultSettings = {
     findCount: 20,
@@ -31,42 +98,87 @@ const defaultSettings = {
     translateApiKey: "sk-*",
     crawlApiEndpoint: "http://localhost:7010/crawl",
     crawlApiKey: "sk-*",
-    apiProvider: "chub", // "chub", "janitor", "aicc", or "character-tavern"
-};
-
-// 不同API的排序选项映射
-const sortOptions = {
-    chub: {
-        "download_count": "Download Count",
-        "rating": "Rating",
-        "created_at": "Creation Date",
-        "name": "Name",
-        "n_tokens": "Token Count",
-        "random": "Random"
-    },
-    janitor: {
-        "popular": "Popularity",
-        "latest": "Latest",
-        "trending": "Trending",
-        "trending24": "Trending 24h",
-        "relevance": "Relevance"
+    apiProvider: "chub", // id of any registered provider, see registerProvider
+    mergeDuplicates: false, // group the same card found on several sources or pages into one entry
+    infiniteScroll: false, // append the next page when the end of the list is reached
+    cardSpec: "v3", // "v2" or "v3", the spec of cards built from JSON definitions
+    contentType: "characters", // "characters", "lorebooks" or "presets", for providers that offer them
+    searchHistory: [], // recent searches, newest first, see toStoredSearch
+    savedSearches: [], // {name, search} named searches, sorted by name
+    favorites: [], // {key, character, note, labels, addedAt} starred results, newest first, see toFavoriteCharacter
+    followedCreators: [], // {provider, id, name, url, followedAt, lastSeenAt}, newer cards are flagged
+    importedCharacters: {}, // avatar file name -> provenance of the characters this extension imported, see recordImportedCharacter
+    importedCharactersMigrated: false, // whether characters imported before importedCharacters existed were added to it, see migrateImportedCharacters
+    importTags: true, // assign the provider's tags to imported characters
+    skipNoiseTags: true, // leave out tags that carry no information, see isNoiseTag
+    noiseTags: ["character", "characters", "oc", "roleplay", "rp", "chub", "tavern", "sillytavern", "bot", "other"],
+    tagMappings: {}, // lowercased provider tag -> SillyTavern tag name ('' drops the tag)
+    tagAliases: {}, // canonical tag name -> names other sites use for it, added to DEFAULT_TAG_ALIASES
+    learnedTags: {}, // provider id -> [identifier, name] pairs of the tags seen so far, oldest first, see learnTag
+    importLorebooks: true, // create World Info files for embedded and linked lorebooks on import
+    importExpressions: false, // install CHub expression sprites on import
+    importGallery: false, // install CHub gallery images on import
+    cacheTtl: {}, // provider id -> minutes search pages, thumbnails and cards are cached (0 disables), DEFAULT_CACHE_TTL_MINUTES if unset
+    localFilters: { // Applied to the results of every provider after fetching, see getLocalFilterFailures
+        minTokens: 0,
+        maxTokens: 0, // 0 means no upper limit
+        createdAfter: "", // YYYY-MM-DD
+        minStars: 0,
+        minChats: 0,
+        requireDownload: false
     },
-    aicc: {
-        "default": "Default"
+    chubFilters: { // CHub search parameters, set in the advanced filter panel
+        lore: "any", // "any", "lore" (any lorebook), "embedded" or "linked"
+        requireExpressions: false,
+        requireImages: false, // only characters with a gallery
+        minTokens: 50,
+        maxTokens: 100000, // CHUB_MAX_TOKENS means no upper limit
+        asc: false,
+        includeForks: true,
+        minAiRating: 0,
+        requireCustomPrompt: false,
+        requireExampleDialogues: false,
+        requireAlternateGreetings: false,
+        inclusiveOr: false, // match any of the included tags instead of all of them
+        recommendedVerified: false, // verified only
+        nsfl: true,
+        minTags: 2,
     },
-    "character-tavern": {
-        "likes:desc": "Likes:desc",
-        "messages:desc": "Messages:desc",
-        "downloads:desc": "Downloads:desc",
-        "createdAt:desc": "Date:latest"
-    }
 };
 
-let chubCharacters = [];
+// Registered search providers, keyed by provider id (see registerProvider)
+const providers = new Map();
+
+let chubCharacters = []; // The characters currently shown in the list, from any provider
 let characterListContainer = null;  // A global variable to hold the reference
 let popupState = null;
 let savedPopupContent = null;
 let characterTavernAuth = null; // Cache for Character Tavern authorization token
+let searchGeneration = 0; // Incremented per search so late results of an older search are ignored
+let installedIndex = null; // Lookup tables of installed characters, see refreshInstalledIndex
+const installedContentHashes = new Map(); // avatar -> content hash of installed characters hashed on demand, see hashInstalledCharacter
+const selectedCharacters = new Map(); // getCharacterKey(character) -> character, for bulk import
+const avatarHashCache = new Map(); // avatar URL -> Promise of its SHA-256 hex digest
+const aiccCategoryCache = new Map(); // lowercased AICC category slug or name -> category id (null if unknown)
+const aiccPostIdCache = new Map(); // AICC REST search URL -> {postIds, total} of that page, total is null if not reported
+const aiccAuthorCache = new Map(); // lowercased AICC author slug -> user id (null if unknown)
+const seenTags = new Map(); // provider id -> Map of tag identifier -> readable name, see recordSeenTags
+const tagSuggestionCache = new Map(); // "provider:query" -> Promise of the provider's tag suggestions
+let janitorTagList = null; // Promise of the full JanitorAI tag list, see fetchJanitorTags
+let chubTagList = null; // Promise of the full CHub tag list, see fetchChubTags
+const tagDictionary = new Map(); // canonical tag key -> {name, ids: Map of provider id -> tag identifier}, see learnTag
+let tagAliasIndex = null; // normalized tag name -> canonical key, rebuilt when the aliases change
+const saveLearnedTags = debounce(() => saveSettings(), 1000); // Saves learnTag's additions once a page of results is processed
+const reportedUnknownTags = new Set(); // "provider:tag" of the tags a search already warned it left out
+let thumbnailObserver = null; // IntersectionObserver that queues thumbnails scrolling into view
+const thumbnailQueue = []; // Thumbnail elements waiting to be loaded
+let activeThumbnailLoads = 0;
+const thumbnailObjectUrls = new Set(); // Blob URLs of the thumbnails on the current page, revoked when it is replaced
+let cacheDatabase = null; // Promise of the IndexedDB cache, see openCacheDatabase
+let currentSearch = null; // Options, last loaded page and total of the search shown, for infinite scroll
+let loadMoreObserver = null; // IntersectionObserver on the end of the list, see observeLoadMore
+let searchResults = []; // Every result fetched for the search shown, before local filters and duplicate merging
+let creatorScope = null; // {provider, id, name, url, since} of the creator whose catalog is shown, see scopeSearchToCreator
 
 /**
  * Gets Character Tavern authorization token from config file
@@ -101,16 +213,86 @@ async function getCharacterTavernAuth() {
     }
 }
 
+/**
+ * Registers a search provider. Built-in providers are registered below; private sources can
+ * import this function and register their own, which then show up in the API selector.
+ * @param {Object} provider - The provider definition.
+ * @param {string} provider.id - Unique id, stored in `extension_settings.chub.apiProvider`.
+ * @param {string} provider.name - Display name for the API selector.
+ * @param {Object<string, string>} provider.sortOptions - Map of sort value to readable label. The first entry is the default.
+ * @param {Object} [provider.filters] - Which search filters the provider honours.
+ * @param {boolean} [provider.filters.searchTerm] - Supports free-text search.
+ * @param {boolean} [provider.filters.includeTags] - Supports required tags.
+ * @param {boolean} [provider.filters.excludeTags] - Supports excluded tags.
+ * @param {boolean} [provider.filters.nsfw] - Supports toggling NSFW results.
+ * @param {boolean} [provider.filters.pageSize] - Honours the `findCount` page size.
+ * @param {boolean} [provider.filters.lorebooks] - Supports the lorebook filter (`chubFilters.lore`).
+ * @param {boolean} [provider.filters.media] - Supports the "has expressions" and "has gallery" filters.
+ * @param {boolean} [provider.filters.advanced] - Supports the rest of the advanced filter panel (`chubFilters`).
+ * @param {boolean} [provider.filters.author] - Supports limiting a search to one creator, passed to search as `author` (a result's `authorId`).
+ * @param {function(Object): Promise<Array|{characters: Array, total: number}>} provider.search - Receives the search options, resolves with normalized character objects, or with them and the total number of matches where the source reports it. A result the source already marks as not downloadable sets `downloadable: false`.
+ * @param {function(Object): Promise<Blob>} [provider.fetchCard] - Downloads a character's card as a PNG with embedded card data, for preview and import. Rejects with a readable message on failure.
+ * @param {function(Object): Promise<Array>} [provider.fetchVersions] - Lists a character's revisions as `{id, label, date, message}`, newest first. fetchCard downloads the one named by the character's `version`.
+ * @param {function(Object): Promise<boolean>} [provider.download] - Imports one of its own characters. Defaults to fetchCard plus upload, or the external import dialog without fetchCard.
+ * @param {Object<string, string>} [provider.sortAliases] - Maps the "All sources" sort values (`popular`, `latest`) to the provider's own.
+ * @param {boolean} [provider.federated=true] - Whether the provider takes part in "All sources" searches.
+ * @param {string[]} [provider.contentTypes=["characters"]] - The content types the provider searches (see CONTENT_TYPE_LABELS), passed to search as `contentType`.
+ * @param {function(Object): Promise<{name: string, data: Object}>} [provider.fetchLorebook] - Downloads a lorebook result as World Info data.
+ * @param {function(Object): Promise<{name: string, preset: Object}>} [provider.fetchPreset] - Downloads a preset result.
+ * @param {boolean} [provider.localExcludeTags=true] - Whether results carry their tags in `originalTags`, so excluded tags the search ignores can be filtered out locally. The exclude inputs stay enabled when this is set.
+ * @param {boolean} [provider.tagsById=false] - Whether the search only accepts tag identifiers from fetchTags, so typed tag names that match no suggestion are rejected.
+ * @param {string[]} [provider.reportedFields] - The result fields the provider fills in, out of `nTokens`, `starCount`, `nChats` and `createdAt`. The local result filters skip the others. Defaults to all of them.
+ * @param {function(string): Promise<Array<{id: string, name: string, count: number|null}>>} [provider.fetchTags] - Suggests tags for the lowercased text typed in the tag picker, with the identifier the search expects and, where the source reports it, how many cards use the tag. Tags seen on results are suggested as well.
+ */
+export function registerProvider(provider) {
+    if (!provider || !provider.id || !provider.name || typeof provider.search !== 'function') {
+        throw new Error('A provider needs an id, a name and a search function');
+    }
+
+    providers.set(provider.id, {
+        sortOptions: { "default": "Default" },
+        sortAliases: {},
+        federated: true,
+        contentTypes: ['characters'],
+        localExcludeTags: true,
+        tagsById: false,
+        reportedFields: ['nTokens', 'starCount', 'nChats', 'createdAt'],
+        download: (character) => provider.fetchCard ? importCharacterCard(character) : openExternalImport(character.fullUrl),
+        ...provider,
+        filters: {
+            searchTerm: false,
+            includeTags: false,
+            excludeTags: false,
+            nsfw: false,
+            pageSize: false,
+            lorebooks: false,
+            media: false,
+            advanced: false,
+            author: false,
+            ...provider.filters
+        }
+    });
+}
+
+/**
+ * Looks up a registered provider, falling back to CHub for unknown ids.
+ * @param {string} id - The provider id.
+ * @returns {Object} - The provider definition.
+ */
+function getProvider(id) {
+    return providers.get(id) || providers.get('chub');
+}
+
 /**
  * Updates the sort options based on the selected API provider
- * @param {string} apiProvider - The API provider ("chub", "janitor", "aicc", or "character-tavern")
+ * @param {string} apiProvider - The id of a registered provider
  */
 function updateSortOptions(apiProvider) {
     const sortSelect = document.getElementById('sortOrder');
     if (!sortSelect) return;
-    
+
     const currentValue = sortSelect.value;
-    const options = sortOptions[apiProvider] || sortOptions.chub;
+    const options = getProvider(apiProvider).sortOptions;
     
     // Generate new options HTML
     const optionsHtml = Object.keys(options).map(key => 
@@ -129,6 +311,127 @@ function updateSortOptions(apiProvider) {
     }
 }
 
+/**
+ * Gets the content type to search for, falling back to characters if the provider does not offer the selected one.
+ * @param {string} [apiProvider] - The id of a registered provider. Defaults to the selected one.
+ * @returns {string} - The content type.
+ */
+function getActiveContentType(apiProvider = extension_settings.chub.apiProvider) {
+    const contentType = extension_settings.chub.contentType;
+    return getProvider(apiProvider).contentTypes.includes(contentType) ? contentType : 'characters';
+}
+
+/**
+ * Updates the content type selector to the content types of the selected provider
+ * @param {string} apiProvider - The id of a registered provider
+ */
+function updateContentTypeOptions(apiProvider) {
+    const contentTypeSelect = document.getElementById('contentTypeSelect');
+    if (!contentTypeSelect) return;
+
+    const contentTypes = getProvider(apiProvider).contentTypes;
+    contentTypeSelect.innerHTML = contentTypes.map(type => `<option value="${type}">${CONTENT_TYPE_LABELS[type] || type}</option>`).join('');
+    contentTypeSelect.value = getActiveContentType(apiProvider);
+    contentTypeSelect.disabled = contentTypes.length < 2;
+}
+
+/**
+ * Reads an advanced CHub filter control (marked with `data-chub-filter`) as its settings value.
+ * @param {HTMLInputElement|HTMLSelectElement} input - The control.
+ * @returns {boolean|number|string} - The value for `chubFilters`.
+ */
+function readChubFilterInput(input) {
+    if (input.type === 'checkbox') {
+        return input.checked;
+    }
+    if (input.value === 'true' || input.value === 'false') {
+        return input.value === 'true';
+    }
+    if (input.type === 'range' || input.type === 'number') {
+        const value = Number(input.value) || 0;
+        // The top of the token slider stands for "no upper limit"
+        return input.dataset.chubFilter === 'maxTokens' && value >= TOKEN_SLIDER_MAX ? CHUB_MAX_TOKENS : value;
+    }
+    return input.value;
+}
+
+/**
+ * Sets an advanced CHub filter control from its settings value.
+ * @param {HTMLInputElement|HTMLSelectElement} input - The control.
+ * @param {boolean|number|string} value - The value from `chubFilters`.
+ */
+function writeChubFilterInput(input, value) {
+    if (input.type === 'checkbox') {
+        input.checked = !!value;
+    } else if (input.type === 'range') {
+        input.value = Math.min(Number(value) || 0, TOKEN_SLIDER_MAX);
+    } else {
+        input.value = String(value);
+    }
+}
+
+/**
+ * Shows the token range selected with the two token sliders.
+ */
+function updateTokenRangeDisplay() {
+    const display = document.getElementById('tokenRangeDisplay');
+    if (!display) return;
+    const { minTokens, maxTokens } = extension_settings.chub.chubFilters;
+    display.textContent = `${minTokens.toLocaleString()} – ${maxTokens >= CHUB_MAX_TOKENS ? 'any' : maxTokens.toLocaleString()}`;
+}
+
+/**
+ * Enables or disables the search inputs depending on which filters the provider supports
+ * @param {string} apiProvider - The id of a registered provider
+ */
+function updateFilterInputs(apiProvider) {
+    const provider = getProvider(apiProvider);
+    const inputs = {
+        searchTerm: 'characterSearchInput',
+        includeTags: ['includeTags', 'includeTagPicker'],
+        excludeTags: ['excludeTags', 'excludeTagPicker'],
+        nsfw: 'nsfwCheckbox',
+        lorebooks: 'loreFilterSelect',
+        media: ['requireExpressionsCheckbox', 'requireImagesCheckbox'],
+        advanced: [...document.querySelectorAll('#advancedFiltersContainer [data-chub-filter]')]
+            .map(input => input.id)
+            .filter(id => !['loreFilterSelect', 'requireExpressionsCheckbox', 'requireImagesCheckbox'].includes(id))
+    };
+
+    for (const [filter, ids] of Object.entries(inputs)) {
+        for (const id of [].concat(ids)) {
+            const input = document.getElementById(id);
+            if (!input) continue;
+
+            const supported = provider.filters[filter];
+            if (filter === 'excludeTags' && !supported && provider.localExcludeTags) {
+                // Applied to the results by the local filter stage instead
+                input.disabled = false;
+                input.title = `Filtered locally, ${provider.name} ignores excluded tags`;
+                continue;
+            }
+            input.disabled = !supported;
+            input.title = supported ? '' : `Not supported by ${provider.name}`;
+        }
+    }
+
+    const excludePicker = document.getElementById('excludeTagPicker');
+    if (excludePicker) {
+        const local = !provider.filters.excludeTags && provider.localExcludeTags;
+        excludePicker.placeholder = local ? 'Exclude tags (filtered locally)' : 'Exclude tags';
+    }
+
+    const searchInput = document.getElementById('characterSearchInput');
+    if (searchInput) {
+        searchInput.placeholder = `Search ${provider.name} Characters...`;
+    }
+
+    const apiDisplay = document.getElementById('currentApiDisplay');
+    if (apiDisplay) {
+        apiDisplay.textContent = `API: ${provider.name}`;
+    }
+}
+
 
 /**
  * Detects if a string contains Chinese characters
@@ -369,6 +672,10 @@ async function loadSettings() {
             console.log(`Setting default for: ${key}`);
             extension_settings.chub[key] = value;
         }
+        // Fill in keys added to nested settings groups since they were saved
+        else if (value && typeof value === 'object' && !Array.isArray(value)) {
+            extension_settings.chub[key] = { ...value, ...extension_settings.chub[key] };
+        }
     }
 }
 
@@ -422,41 +729,58 @@ async function downloadCharacterData(url) {
     }
 }
 
+/**
+ * Posts a character card to SillyTavern's import endpoint without any user notification.
+ * @param {Blob} imageBlob - The card file to upload.
+ * @param {string} fileName - The name for the character file.
+ * @param {string} [fileType='png'] - The card format, "png" or "json".
+ * @param {string} [preservedName] - Avatar file name of an installed character to overwrite instead of creating a new one.
+ * @returns {Promise<Object>} - Resolves with the import response, including `file_name`. Rejects if the import failed.
+ */
+async function postCharacterImport(imageBlob, fileName = 'character.png', fileType = 'png', preservedName = null) {
+    // Import character using /api/characters/import
+    const formData = new FormData();
+    formData.append('avatar', imageBlob, fileName);
+    formData.append('file_type', fileType);
+    if (preservedName) {
+        formData.append('preserved_name', preservedName);
+    }
+
+    // Get headers but exclude Content-Type for FormData
+    const headers = { ...getRequestHeaders() };
+    delete headers['Content-Type'];
+    delete headers['content-type'];
+
+    const importResponse = await fetch('/api/characters/import', {
+        method: 'POST',
+        headers: headers,
+        body: formData,
+    });
+
+    if (!importResponse.ok) {
+        console.error('Failed to import character:', importResponse.status, importResponse.statusText);
+        throw new Error(`Failed to import character: ${importResponse.status}`);
+    }
+
+    // Get the response with file name
+    const result = await importResponse.json();
+    console.log('Character imported successfully:', result);
+    return result;
+}
+
 /**
  * Uploads a character image blob to SillyTavern.
  * @param {Blob} imageBlob - The image blob to upload.
  * @param {string} fileName - The name for the character file.
- * @returns {Promise<boolean>} - Resolves with true if successful, false otherwise.
+ * @param {string} [fileType='png'] - The card format, "png" or "json".
+ * @param {string} [preservedName] - Avatar file name of an installed character to overwrite instead of creating a new one.
+ * @returns {Promise<Object|null>} - Resolves with the import response (with `file_name`) if successful, null otherwise.
  */
-async function uploadCharacter(imageBlob, fileName = 'character.png') {
+async function uploadCharacter(imageBlob, fileName = 'character.png', fileType = 'png', preservedName = null) {
     console.debug('Uploading character:', fileName);
     
     try {
-        // Import character using /api/characters/import
-        const formData = new FormData();
-        formData.append('avatar', imageBlob, fileName);
-        formData.append('file_type', 'png');
-
-        // Get headers but exclude Content-Type for FormData
-        const headers = { ...getRequestHeaders() };
-        delete headers['Content-Type'];
-        delete headers['content-type'];
-        
-        const importResponse = await fetch('/api/characters/import', {
-            method: 'POST',
-            headers: headers,
-            body: formData,
-        });
-
-        if (!importResponse.ok) {
-            toastr.error('Failed to import character');
-            console.error('Failed to import character:', importResponse.status, importResponse.statusText);
-            return false;
-        }
-
-        // Get the response with file name
-        const result = await importResponse.json();
-        console.log('Character imported successfully:', result);
+        const result = await postCharacterImport(imageBlob, fileName, fileType, preservedName);
         
         if (result.file_name) {
             toastr.success(`Character "${result.file_name}" imported successfully`);
@@ -464,48 +788,340 @@ async function uploadCharacter(imageBlob, fileName = 'character.png') {
             toastr.success('Character imported successfully');
         }
         
-        return true;
+        return result;
 
     } catch (error) {
         console.error('Error uploading character:', error);
         toastr.error('Error uploading character: ' + error.message);
-        return false;
+        return null;
     }
 }
 
 /**
- * Downloads and uploads a character using card data URL.
+ * Downloads a character card using card data URL.
  * @param {string} cardDataUrl - The card data URL to download from.
- * @param {string} fallbackUrl - The fallback URL to use if card data download fails.
- * @returns {Promise<boolean>} - Resolves with true if successful, false otherwise.
+ * @returns {Promise<Blob>} - Resolves with the card blob. Rejects if the download failed.
  */
-async function downloadCharacterFromCardData(cardDataUrl, fallbackUrl) {
+async function fetchCardFromUrl(cardDataUrl) {
     console.log('Using card data URL for direct download:', cardDataUrl);
-    
-    try {
-        // 直接下载角色卡数据
-        const response = await fetch(cardDataUrl);
-        if (!response.ok) {
-            throw new Error(`Failed to download character data: ${response.status}`);
+
+    // 直接下载角色卡数据
+    const response = await fetch(cardDataUrl);
+    if (!response.ok) {
+        throw new Error(`Failed to download character data: ${response.status}`);
+    }
+
+    const imageBlob = await response.blob();
+    console.log('Downloaded character data blob:', imageBlob.type, imageBlob.size);
+    return imageBlob;
+}
+
+/**
+ * Computes the CRC-32 checksum PNG chunks are stored with.
+ * @param {Uint8Array} bytes - The chunk type followed by the chunk data.
+ * @returns {number} - The unsigned checksum.
+ */
+function crc32(bytes) {
+    if (!crc32.table) {
+        crc32.table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crc32.table[n] = c >>> 0;
         }
-        
-        const imageBlob = await response.blob();
-        console.log('Downloaded character data blob:', imageBlob.type, imageBlob.size);
-        
-        // 上传角色卡
-        const success = await uploadCharacter(imageBlob, 'character.png');
-        if (success) {
-            console.log('Character uploaded successfully');
-            return true;
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crc32.table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Splits a PNG file into its chunks.
+ * @param {ArrayBuffer} buffer - The PNG file contents.
+ * @returns {Array<{type: string, data: Uint8Array}>} - The chunks in file order.
+ */
+function readPngChunks(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+    if (bytes.length < PNG_SIGNATURE.length || !PNG_SIGNATURE.every((byte, i) => bytes[i] === byte)) {
+        throw new Error('Not a PNG file');
+    }
+
+    const chunks = [];
+    let offset = PNG_SIGNATURE.length;
+    while (offset + 8 <= bytes.length) {
+        const length = view.getUint32(offset);
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        chunks.push({ type, data: bytes.subarray(offset + 8, offset + 8 + length) });
+        offset += 12 + length; // length, type, data, crc
+        if (type === 'IEND') break;
+    }
+    return chunks;
+}
+
+/**
+ * Joins chunks back into a PNG file.
+ * @param {Array<{type: string, data: Uint8Array}>} chunks - The chunks in file order.
+ * @returns {Uint8Array} - The PNG file contents.
+ */
+function writePngChunks(chunks) {
+    const size = PNG_SIGNATURE.length + chunks.reduce((total, chunk) => total + 12 + chunk.data.length, 0);
+    const bytes = new Uint8Array(size);
+    const view = new DataView(bytes.buffer);
+    bytes.set(PNG_SIGNATURE, 0);
+
+    let offset = PNG_SIGNATURE.length;
+    for (const chunk of chunks) {
+        const typeAndData = new Uint8Array(4 + chunk.data.length);
+        typeAndData.set(Array.from(chunk.type, char => char.charCodeAt(0)), 0);
+        typeAndData.set(chunk.data, 4);
+
+        view.setUint32(offset, chunk.data.length);
+        bytes.set(typeAndData, offset + 4);
+        view.setUint32(offset + 8 + chunk.data.length, crc32(typeAndData));
+        offset += 12 + chunk.data.length;
+    }
+    return bytes;
+}
+
+/**
+ * Reads the tEXt chunks of a PNG file.
+ * @param {ArrayBuffer} buffer - The PNG file contents.
+ * @returns {Object<string, string>} - Map of keyword to text.
+ */
+function readPngTextChunks(buffer) {
+    const texts = {};
+    for (const chunk of readPngChunks(buffer)) {
+        if (chunk.type !== 'tEXt') continue;
+        const separator = chunk.data.indexOf(0);
+        if (separator < 0) continue;
+        const keyword = String.fromCharCode(...chunk.data.subarray(0, separator));
+        texts[keyword] = new TextDecoder('latin1').decode(chunk.data.subarray(separator + 1));
+    }
+    return texts;
+}
+
+/**
+ * Encodes a string as base64 over its UTF-8 bytes, the way card data is stored in tEXt chunks.
+ * @param {string} text - The text to encode.
+ * @returns {string} - The base64 string.
+ */
+function encodeBase64Utf8(text) {
+    return encodeBase64Bytes(new TextEncoder().encode(text));
+}
+
+/**
+ * Encodes bytes as base64, in chunks to stay below the argument limit of String.fromCharCode.
+ * @param {Uint8Array} bytes - The bytes to encode.
+ * @returns {string} - The base64 string.
+ */
+function encodeBase64Bytes(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Decodes base64 over UTF-8 bytes, the inverse of encodeBase64Utf8.
+ * @param {string} base64 - The base64 string.
+ * @returns {string} - The decoded text.
+ */
+function decodeBase64Utf8(base64) {
+    const binary = atob(base64);
+    return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+}
+
+/**
+ * Replaces the card data chunks of a PNG with the given card.
+ * Always writes the V2 `chara` chunk; a V3 card additionally gets the `ccv3` chunk.
+ * @param {ArrayBuffer} buffer - The PNG file contents.
+ * @param {Object} card - A chara_card_v2 or chara_card_v3 object.
+ * @returns {Blob} - The new PNG file.
+ */
+function writeCardToPng(buffer, card) {
+    const textChunk = (keyword, text) => ({
+        type: 'tEXt',
+        data: Uint8Array.from(`${keyword}\0${text}`, char => char.charCodeAt(0))
+    });
+    const isCardChunk = (chunk) => {
+        if (chunk.type !== 'tEXt') return false;
+        const keyword = String.fromCharCode(...chunk.data.subarray(0, chunk.data.indexOf(0)));
+        return keyword === 'chara' || keyword === 'ccv3';
+    };
+
+    const v2Card = card.spec === 'chara_card_v3' ? { ...card, spec: 'chara_card_v2', spec_version: '2.0' } : card;
+    const cardChunks = [textChunk('chara', encodeBase64Utf8(JSON.stringify(v2Card)))];
+    if (card.spec === 'chara_card_v3') {
+        cardChunks.push(textChunk('ccv3', encodeBase64Utf8(JSON.stringify(card))));
+    }
+
+    const chunks = readPngChunks(buffer).filter(chunk => !isCardChunk(chunk));
+    const end = chunks.findIndex(chunk => chunk.type === 'IEND');
+    chunks.splice(end < 0 ? chunks.length : end, 0, ...cardChunks);
+    return new Blob([writePngChunks(chunks)], { type: 'image/png' });
+}
+
+/**
+ * Reads the card embedded in a character PNG, preferring the V3 chunk.
+ * @param {ArrayBuffer} buffer - The PNG file contents.
+ * @returns {Object|null} - The card object, or null if the PNG carries none.
+ */
+function readCardFromPng(buffer) {
+    const texts = readPngTextChunks(buffer);
+    const encoded = texts.ccv3 || texts.chara;
+    return encoded ? JSON.parse(decodeBase64Utf8(encoded)) : null;
+}
+
+/**
+ * Normalizes a V1, V2 or V3 character JSON into the flat definition the card builder takes.
+ * @param {Object} json - The character JSON.
+ * @returns {Object} - The normalized definition.
+ */
+function normalizeCardDefinition(json) {
+    const data = json.data || json;
+    return {
+        name: data.name || data.char_name || '',
+        description: data.description || data.char_persona || '',
+        personality: data.personality || '',
+        scenario: data.scenario || data.world_scenario || '',
+        first_mes: data.first_mes || data.char_greeting || '',
+        mes_example: data.mes_example || data.example_dialogue || '',
+        alternate_greetings: data.alternate_greetings || [],
+        creator_notes: data.creator_notes || '',
+        system_prompt: data.system_prompt || '',
+        post_history_instructions: data.post_history_instructions || '',
+        tags: data.tags || [],
+        creator: data.creator || '',
+        character_version: data.character_version || '',
+        character_book: data.character_book,
+        extensions: data.extensions || {}
+    };
+}
+
+/**
+ * Builds a Character Card V2 or V3 object from a normalized definition.
+ * @param {Object} definition - The normalized definition (see normalizeCardDefinition).
+ * @param {string} [spec='v3'] - "v2" or "v3".
+ * @returns {Object} - The card object.
+ */
+function buildCharacterCard(definition, spec = 'v3') {
+    const data = {
+        name: definition.name || 'Unknown Character',
+        description: definition.description || '',
+        personality: definition.personality || '',
+        scenario: definition.scenario || '',
+        first_mes: definition.first_mes || '',
+        mes_example: definition.mes_example || '',
+        creator_notes: definition.creator_notes || '',
+        system_prompt: definition.system_prompt || '',
+        post_history_instructions: definition.post_history_instructions || '',
+        alternate_greetings: definition.alternate_greetings || [],
+        tags: definition.tags || [],
+        creator: definition.creator || '',
+        character_version: definition.character_version || '',
+        extensions: definition.extensions || {}
+    };
+    if (definition.character_book) {
+        data.character_book = definition.character_book;
+    }
+
+    if (spec !== 'v3') {
+        return { spec: 'chara_card_v2', spec_version: '2.0', data };
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (data.character_book) {
+        // V3 lorebook entries require the use_regex flag
+        data.character_book = {
+            ...data.character_book,
+            entries: (data.character_book.entries || []).map(entry => ({ use_regex: false, ...entry }))
+        };
+    }
+    return {
+        spec: 'chara_card_v3',
+        spec_version: '3.0',
+        data: {
+            ...data,
+            group_only_greetings: definition.group_only_greetings || [],
+            assets: [{ type: 'icon', uri: 'ccdefault:', name: 'main', ext: 'png' }],
+            creation_date: now,
+            modification_date: now
         }
-        return false;
+    };
+}
+
+/**
+ * Converts any browser-decodable image to PNG. Without an image, SillyTavern's default avatar is used.
+ * @param {Blob|null} imageBlob - The avatar image.
+ * @returns {Promise<ArrayBuffer>} - The PNG file contents.
+ */
+async function convertImageToPng(imageBlob) {
+    if (!imageBlob) {
+        const response = await fetch(DEFAULT_AVATAR_URL);
+        imageBlob = await response.blob();
+    }
+    if (imageBlob.type === 'image/png') {
+        return await imageBlob.arrayBuffer();
+    }
+
+    const bitmap = await createImageBitmap(imageBlob);
+    const canvas = document.createElement('canvas');
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+    canvas.getContext('2d').drawImage(bitmap, 0, 0);
+    bitmap.close();
+
+    const pngBlob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    return await pngBlob.arrayBuffer();
+}
+
+/**
+ * Fetches an avatar image, returning null instead of failing so a card can still be built without it.
+ * @param {string} url - The avatar URL.
+ * @returns {Promise<Blob|null>} - The image blob, or null if it could not be fetched.
+ */
+async function fetchAvatarBlob(url) {
+    if (!url) return null;
+    try {
+        const response = await fetch(url);
+        return response.ok ? await response.blob() : null;
     } catch (error) {
-        console.error('Error downloading/uploading character:', error);
-        toastr.error('Error downloading character: ' + error.message);
-        return false;
+        console.warn('Could not fetch avatar, using the default one:', url, error);
+        return null;
     }
 }
 
+/**
+ * Builds a character PNG with embedded card data from a definition and an avatar image.
+ * @param {Object} definition - The normalized definition (see normalizeCardDefinition).
+ * @param {Blob|null} avatarBlob - The avatar image in any browser-decodable format.
+ * @param {string} [spec] - "v2" or "v3". Defaults to the `cardSpec` setting.
+ * @returns {Promise<Blob>} - The character PNG.
+ */
+async function buildCharacterCardPng(definition, avatarBlob, spec = extension_settings.chub.cardSpec) {
+    const card = buildCharacterCard(definition, spec);
+    const pngBuffer = await convertImageToPng(avatarBlob);
+    return writeCardToPng(pngBuffer, card);
+}
+
+/**
+ * Builds a character PNG from a definition and the avatar at the given URL.
+ * @param {Object} definition - The normalized definition (see normalizeCardDefinition).
+ * @param {string} avatarUrl - The avatar image URL. The default avatar is used if it cannot be fetched.
+ * @returns {Promise<Blob>} - The character PNG.
+ */
+async function buildCardFromDefinition(definition, avatarUrl) {
+    const avatarBlob = await fetchAvatarBlob(avatarUrl);
+    return await buildCharacterCardPng(definition, avatarBlob);
+}
+
 /**
  * Downloads a custom character based on the provided URL.
  * @param {string} input - A string containing the URL of the character to be downloaded.
@@ -526,669 +1142,3653 @@ async function downloadCharacter(input) {
 }
 
 /**
- * Updates the character list in the view based on provided characters.
- * @param {Array} characters - A list of character data objects to be rendered in the view.
+ * Imports a search result of any content type: characters through their provider, lorebooks as
+ * World Info and presets into the matching SillyTavern preset type.
+ * @param {Object} item - The normalized search result.
+ * @returns {Promise<boolean>} - Whether the import succeeded.
  */
-function updateCharacterListInView(characters) {
-    if (characterListContainer) {
-        // Get currently selected tags
-        const includeTagsInput = document.getElementById('includeTags');
-        const selectedTags = includeTagsInput ? includeTagsInput.value.split(',').map(tag => tag.trim()).filter(tag => tag) : [];
-        
-        characterListContainer.innerHTML = characters.map((character, index) => generateCharacterListItem(character, index, selectedTags)).join('');
+async function importSearchResult(item) {
+    switch (item.contentType) {
+        case 'lorebooks':
+            return await importLorebookResult(item);
+        case 'presets':
+            return await importPresetResult(item);
+        default:
+            return await getProvider(item.provider).download(item);
     }
 }
 
 /**
- * Generates a list of permutations for the given tags. The permutations include:
- * - Original tag.
- * - Tag in uppercase.
- * - Tag with the first letter in uppercase.
- * @param {Array<string>} tags - List of tags for which permutations are to be generated.
- * @returns {Array<string>} - A list containing all the tag permutations.
+ * Downloads a lorebook search result and saves it as a World Info file. Importing the same lorebook
+ * again updates its file; a file of the same name from elsewhere is kept (see saveWorldInfoFile).
+ * @param {Object} item - The normalized search result.
+ * @returns {Promise<boolean>} - Whether the import succeeded.
  */
-function makeTagPermutations(tags) {
-    let permutations = [];
-    for (let tag of tags) {
-        if(tag) {
-            permutations.push(tag);
-            permutations.push(tag.toUpperCase());
-            permutations.push(tag[0].toUpperCase() + tag.slice(1));
+async function importLorebookResult(item) {
+    try {
+        const provider = getProvider(item.provider);
+        if (!provider.fetchLorebook) {
+            throw new Error(`${provider.name} does not offer lorebook downloads`);
         }
+        const { name, data } = await provider.fetchLorebook(item);
+
+        const worldName = await saveWorldInfoFile(name, data, `lorebook:${item.provider}:${item.fullPath}`);
+        await updateWorldInfoList();
+        toastr.success(`Lorebook "${worldName}" imported as World Info`);
+        return true;
+    } catch (error) {
+        console.error('Error importing lorebook:', error);
+        notifyImportFailed(item, error.message);
+        return false;
     }
-    return permutations;
 }
 
 /**
- * Fetches characters from JanitorAI API based on specified search criteria.
- * @param {Object} options - The search options object.
- * @param {string} [options.searchTerm] - A search term to filter characters by name/description.
- * @param {Array<string>} [options.includeTags] - A list of tags that the returned characters should include.
- * @param {Array<string>} [options.excludeTags] - A list of tags that the returned characters should not include.
- * @param {boolean} [options.nsfw] - Whether or not to include NSFW characters. Defaults to the extension settings.
- * @param {string} [options.sort] - The criteria by which to sort the characters. Default is by download count.
- * @param {number} [options.page=1] - The page number for pagination. Defaults to 1.
- * @returns {Promise<Array>} - Resolves with an array of character objects that match the search criteria.
+ * Tells which SillyTavern preset type a preset file belongs to, from the settings it contains.
+ * @param {Object} preset - The preset data.
+ * @returns {string|null} - The `apiId` for /api/presets/save, or null if the type is not recognised.
  */
-async function fetchCharactersFromJanitor({ searchTerm, includeTags, excludeTags, nsfw, sort, page=1 }) {
-    const mode = nsfw ? 'nsfw' : 'sfw';
-    const search = searchTerm ? encodeURIComponent(searchTerm) : '';
-    // Only add tagIds if there are valid (non-empty) tags
-    const validTags = includeTags ? includeTags.filter(tag => tag && tag.trim().length > 0) : [];
-    const tagIds = validTags.length > 0 ? validTags.map(tag => `tag_id[]=${encodeURIComponent(tag.trim())}`).join('&') : '';
-    
-    // Map sort options to JanitorAI format
-    const sortMap = {
-        'download_count': 'popular',
-        'rating': 'popular', // JanitorAI doesn't have rating sort, use popular
-        'created_at': 'latest',
-        'name': 'popular', // JanitorAI doesn't have name sort, use popular
-        'default': 'popular',
-        'popular': 'popular',
-        'latest': 'latest',
-        'trending': 'trending',
-        'trending24': 'trending24',
-        'relevance': 'relevance'
-    };
-    const janitorSort = sortMap[sort] || 'popular';
-    
-    let url = `${JANITOR_API_ENDPOINT}?page=${page}&mode=${mode}&sort=${janitorSort}`;
-    if (search) url += `&search=${search}`;
-    if (tagIds) url += `&${tagIds}`;
-    
-    // Use crawl API to fetch JanitorAI data
-    const crawlApiEndpoint = extension_settings.chub.crawlApiEndpoint || CRAWL_API_ENDPOINT;
-    const crawlApiKey = extension_settings.chub.crawlApiKey || CRAWL_API_KEY;
-    
-    console.log('Fetching from JanitorAI via crawl API:', crawlApiEndpoint);
-    console.log('Target URL:', url);
-    
+function detectPresetApiId(preset) {
+    if (!preset || typeof preset !== 'object') return null;
+    if ('story_string' in preset) return 'context';
+    if ('input_sequence' in preset && 'output_sequence' in preset) return 'instruct';
+    if (Array.isArray(preset.prompts) || 'prompt_order' in preset || 'openai_max_context' in preset || 'temp_openai' in preset) return 'openai';
+    if ('order' in preset && 'max_length' in preset && 'min_length' in preset) return 'novel';
+    if ('sampler_order' in preset && 'rep_pen' in preset && !('sampler_priority' in preset) && !('typical_p' in preset)) return 'kobold';
+    if ('temp' in preset && 'rep_pen' in preset) return 'textgenerationwebui';
+    if (typeof preset.content === 'string' && 'name' in preset) return 'sysprompt';
+    return null;
+}
+
+/**
+ * Asks which preset type a preset is for, when detectPresetApiId does not recognise it.
+ * @param {string} name - The preset name.
+ * @returns {Promise<string|null>} - The chosen `apiId`, or null if cancelled.
+ */
+async function choosePresetApiId(name) {
+    const dialog = openOverlayDialog(`Preset type of "${name}"`, `
+        <p>The preset type could not be recognised. Which kind of preset is it?</p>
+        <select class="text_pole preset-type-select">
+            ${Object.entries(PRESET_TYPE_LABELS).map(([apiId, label]) => `<option value="${apiId}">${escapeHtml(label)}</option>`).join('')}
+        </select>
+    `, [
+        { label: 'Import', value: 'import' },
+        { label: 'Cancel', value: 'cancel' }
+    ]);
+    const select = dialog.content.querySelector('.preset-type-select');
+    return await dialog.result === 'import' ? select.value : null;
+}
+
+/**
+ * Lists the names of the user's presets of one type.
+ * @param {string} apiId - The preset type, a key of PRESET_TYPE_LABELS.
+ * @returns {Promise<Array<string>>} - The preset names. Rejects if the settings could not be loaded.
+ */
+async function fetchPresetNames(apiId) {
+    const response = await fetch('/api/settings/get', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({}),
+    });
+    if (!response.ok) {
+        throw new Error(`Could not load the existing presets: ${response.status}`);
+    }
+    const data = await response.json();
+    const names = {
+        openai: data.openai_setting_names,
+        textgenerationwebui: data.textgenerationwebui_preset_names,
+        kobold: data.koboldai_setting_names,
+        novel: data.novelai_setting_names,
+        instruct: data.instruct,
+        context: data.context,
+        sysprompt: data.sysprompt
+    }[apiId];
+    return (Array.isArray(names) ? names : []).map(entry => typeof entry === 'string' ? entry : entry?.name).filter(Boolean);
+}
+
+/**
+ * Downloads a preset search result and saves it as a preset of the type it was made for, asking
+ * for the type if it is not recognised. A name that is taken gets a number appended instead of
+ * overwriting the user's preset.
+ * @param {Object} item - The normalized search result.
+ * @returns {Promise<boolean>} - Whether the import succeeded.
+ */
+async function importPresetResult(item) {
     try {
-        const response = await fetch(crawlApiEndpoint, {
+        const provider = getProvider(item.provider);
+        if (!provider.fetchPreset) {
+            throw new Error(`${provider.name} does not offer preset downloads`);
+        }
+        const { name, preset } = await provider.fetchPreset(item);
+        const apiId = detectPresetApiId(preset) || await choosePresetApiId(name);
+        if (!apiId) {
+            return false;
+        }
+
+        const existingNames = (await fetchPresetNames(apiId)).map(existing => existing.toLowerCase());
+        let presetName = name;
+        for (let copy = 2; existingNames.includes(presetName.toLowerCase()); copy++) {
+            presetName = `${name} (${copy})`;
+        }
+
+        const response = await fetch('/api/presets/save', {
             method: 'POST',
-            headers: {
-                'X-Token': crawlApiKey,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ url: url })
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ apiId, name: presetName, preset }),
         });
-        
         if (!response.ok) {
-            console.error('Crawl API error:', response.status, response.statusText);
-            return [];
+            throw new Error(`Failed to save the preset: ${response.status}`);
         }
-        
-        const crawlResponse = await response.json();
-        console.log('Crawl API response:', crawlResponse);
-        
-        // Parse the wrapped response structure
-        let data;
-        if (crawlResponse.result && crawlResponse.result._results && crawlResponse.result._results.length > 0) {
-            // Extract HTML content and parse JSON from <body><pre> tag
-            const htmlContent = crawlResponse.result._results[0].html;
-            try {
-                // Create a temporary DOM element to parse HTML
-                const parser = new DOMParser();
-                const doc = parser.parseFromString(htmlContent, 'text/html');
-                const preElement = doc.querySelector('body pre');
-                
-                if (preElement) {
-                    const jsonText = preElement.textContent.trim();
-                    data = JSON.parse(jsonText);
-                    console.log('Parsed data from HTML pre tag:', data);
-                } else {
-                    console.error('No pre element found in HTML content');
-                    return [];
-                }
-            } catch (parseError) {
-                console.error('Error parsing HTML content as JSON:', parseError);
-                return [];
-            }
-        } else {
-            console.error('Unexpected crawl API response structure:', crawlResponse);
-            return [];
+        toastr.success(`Preset "${presetName}" saved to ${PRESET_TYPE_LABELS[apiId]} presets. Reload the page to select it.`);
+        return true;
+    } catch (error) {
+        console.error('Error importing preset:', error);
+        notifyImportFailed(item, error.message);
+        return false;
+    }
+}
+
+/**
+ * Tells the user an import failed, with a link to the character page so they can get the card by hand.
+ * @param {Object} character - The normalized character object.
+ * @param {string} reason - Why the import failed.
+ */
+function notifyImportFailed(character, reason) {
+    toastr.error(`${reason}. Click to open the character page.`, `Could not import ${character.name}`, {
+        onclick: () => window.open(character.fullUrl, '_blank')
+    });
+}
+
+/**
+ * Hashes the text content of a card definition, so the same card can be recognised whatever its
+ * file name, avatar or metadata.
+ * @param {Object} definition - The normalized definition (see normalizeCardDefinition).
+ * @returns {Promise<string|null>} - The SHA-256 hex digest, or null if the definition has no content.
+ */
+async function hashCardContent(definition) {
+    const fields = [definition.description, definition.personality, definition.scenario, definition.first_mes, definition.mes_example]
+        .map(field => (field || '').trim());
+    if (fields.every(field => field === '')) {
+        return null;
+    }
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(fields)));
+    return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Gets where an installed character was imported from. SillyTavern may only keep a shallow copy of
+ * a character without its extensions, so the provenance recorded at import is used as well.
+ * @param {Object} installed - The entry from SillyTavern's character list.
+ * @returns {Object|null} - The provenance (see addProvenanceToCard), or null if unknown.
+ */
+function getInstalledProvenance(installed) {
+    return installed.data?.extensions?.[EXTENSION_DATA_KEY] || extension_settings.chub.importedCharacters?.[installed.avatar] || null;
+}
+
+/**
+ * Remembers the provenance of an imported character by its avatar file name, so it can be found
+ * without loading the full character.
+ * @param {Object} importResult - The response of the character import, with the new `file_name`.
+ * @param {Blob} cardBlob - The uploaded card, with provenance.
+ * @returns {Promise<void>}
+ */
+async function recordImportedCharacter(importResult, cardBlob) {
+    if (!importResult || !importResult.file_name) {
+        return;
+    }
+    const card = readCardFromPng(await cardBlob.arrayBuffer());
+    const provenance = card?.data?.extensions?.[EXTENSION_DATA_KEY];
+    if (!provenance) {
+        return;
+    }
+    const entry = { ...provenance, recordedAt: Date.now() };
+    extension_settings.chub.importedCharacters = { ...extension_settings.chub.importedCharacters, [`${importResult.file_name}.png`]: entry };
+    saveSettings();
+}
+
+/**
+ * Forgets the recorded provenance of characters that are no longer installed.
+ * @param {number} listedAt - When the character list was requested. Characters recorded later may be missing from it.
+ */
+function pruneImportedCharacters(listedAt) {
+    const avatars = new Set(installedCharacters.map(installed => installed.avatar));
+    const recorded = extension_settings.chub.importedCharacters || {};
+    const kept = Object.fromEntries(Object.entries(recorded)
+        .filter(([avatar, entry]) => avatars.has(avatar) || (entry.recordedAt || 0) >= listedAt));
+    if (Object.keys(kept).length < Object.keys(recorded).length) {
+        extension_settings.chub.importedCharacters = kept;
+        saveSettings();
+    }
+}
+
+/**
+ * Hashes the content of an installed character that has no hash recorded at import, loading
+ * its full record if needed. Hashes are kept for the session.
+ * @param {Object} installed - The entry from SillyTavern's character list.
+ * @returns {Promise<string|null>} - The content hash, null if it could not be computed.
+ */
+async function hashInstalledCharacter(installed) {
+    if (!installedContentHashes.has(installed.avatar)) {
+        let hash = null;
+        try {
+            hash = await hashCardContent(normalizeCardDefinition(await fetchFullCharacter(installed)));
+        } catch (error) {
+            console.warn('Could not hash installed character:', installed.avatar, error);
         }
-        
-        // The parsed data should have the same structure as JanitorAI
-        if (data.data && Array.isArray(data.data)) {
-            const characters = data.data.map(char => {
-                // Extract tags from the tags array (which contains objects with name property)
-                const tagObjects = char.tags || [];
+        installedContentHashes.set(installed.avatar, hash);
+    }
+    return installedContentHashes.get(installed.avatar);
+}
 
-                // Extract tag texts, names, and values directly
-                const tagTexts = tagObjects.map(tag => tag.name || tag.slug || `Tag ${tag.id}`).filter(Boolean);
-                const tagNames = tagObjects.map(tag => tag.name || tag.slug || `Tag ${tag.id}`).filter(Boolean);
-                const tagValues = tagObjects.map(tag => tag.id ? tag.id.toString() : (tag.name || tag.slug || `Tag ${tag.id}`)).filter(Boolean);
-                
-                // Add custom tag IDs to values
-                // Create avatar URL - JanitorAI uses relative paths
-                const avatarUrl = char.avatar ? `https://ella.janitorai.com/bot-avatars/${char.avatar}?width=400` : '';
-                
-                return {
-                    url: avatarUrl,
-                    description: stripHtml(char.description) || 'No description available',
-                    name: char.name || 'Unknown Character',
-                    fullPath: char.id || '',
-                    fullUrl: char.id ? `https://janitorai.com/characters/${char.id}` : '',
-                    author: char.creator_name || 'Unknown',
-                    authorUrl: char.creator_id ? `https://janitorai.com/profiles/${char.creator_id}` : '',
-                    starCount: 0, // JanitorAI doesn't have star count
-                    rating: 0, // JanitorAI doesn't have rating
-                    ratingCount: 0,
-                    nTokens: char.total_tokens || 0,
-                    forksCount: 0, // JanitorAI doesn't have forks
-                    nChats: char.stats ? char.stats.chat || 0 : 0,
-                    nMessages: char.stats ? char.stats.message || 0 : 0,
-                    createdAt: char.created_at || '',
-                    lastActivityAt: char.updated_at || '',
-                    avatar_url: avatarUrl,
-                    max_res_url: avatarUrl,
-                    verified: char.creator_verified || false,
-                    recommended: false, // JanitorAI doesn't have recommended flag
-                    nsfw_image: char.is_image_nsfw || false,
-                    hasGallery: false, // JanitorAI doesn't have gallery info
-                    // Store original texts for hover display
-                    originalName: char.name || 'Unknown Character',
-                    originalDescription: char.description || 'No description available',
-                    originalTags: [...tagTexts, ...tagNames, ...tagValues] // 原文, 译文, 值
-                };
-            });
+/**
+ * Rebuilds the lookup tables of the characters installed in SillyTavern.
+ */
+function refreshInstalledIndex() {
+    installedIndex = { byPath: new Map(), byNameCreator: new Map(), byContentHash: new Map() };
 
-            // Apply translations using the common function
-            return await applyTranslationsToCharacters(characters);
+    for (const installed of installedCharacters) {
+        const extensions = installed.data?.extensions || {};
+        const provenance = getInstalledProvenance(installed);
+        const paths = [
+            extensions.chub?.full_path,
+            provenance?.fullPath,
+            provenance?.fullUrl
+        ].filter(Boolean);
+        paths.forEach(path => installedIndex.byPath.set(path, installed));
+        if (provenance?.contentHash) {
+            installedIndex.byContentHash.set(provenance.contentHash, installed);
         }
-        
-        return [];
-    } catch (error) {
-        console.error('Error fetching from crawl API:', error);
-        return [];
+
+        const creator = installed.data?.creator || '';
+        installedIndex.byNameCreator.set(`${normalizeForDuplicateKey(installed.name)}|${normalizeForDuplicateKey(creator)}`, installed);
     }
 }
 
 /**
- * Fetches characters from AICC API based on specified search criteria.
- * @param {Object} options - The search options object.
- * @param {number} [options.page=1] - The page number for pagination. Defaults to 1.
- * @returns {Promise<Array>} - Resolves with an array of character objects that match the search criteria.
+ * Finds an installed character that is the same card as a search result, by recorded source
+ * URL or fullPath first, then by name plus creator.
+ * @param {Object} character - The normalized character object.
+ * @returns {{installed: Object, reason: string}|null} - The installed character and how it matched, or null.
  */
-async function fetchCharactersFromAICC({ page=1 }) {
-    // Fixed post_ids array from the example
-    const postIds = [
-        3427, 3401, 3435, 4416, 3400, 3423, 3312, 3443, 3417, 3371, 3409, 3441, 3439, 4091, 3397, 3344, 4276, 3421, 3396, 3394, 3336, 7070, 3360, 3628, 4252, 3317, 3405, 3373, 3274, 3338, 3277, 3359, 4492, 5198, 3355, 3403, 3402, 6255, 4246, 4099, 6358, 3375, 3407, 3365, 5482, 4237, 3314, 5539, 5920, 4719, 3437, 4259, 3364, 4839, 6848, 5695, 5731, 4565, 3367, 5137, 3445, 3415, 5954, 5073, 5376, 3413, 7167, 3301, 3313, 5262, 4280, 3276, 3641, 8220, 3278, 5360, 5615, 4665, 5976, 3372, 7858, 7198, 3318, 5827, 5075, 3358, 5899, 7663, 6945, 3395, 5083, 3352, 3334, 5189, 4972, 3347, 6687, 4673, 3411, 6625, 3626, 5353, 5599, 3307, 5071, 6812, 6928, 5479, 8224, 3331, 5689, 7647, 5869, 3425, 7177, 5077, 5500, 8207, 7315, 9172, 5288, 5139, 3348, 6735, 4084, 7289, 8468, 6930, 5601, 7024, 4282, 4970, 8376, 7325, 7553, 4208, 6970, 5662, 7170, 6845, 8517, 6905, 7761, 7773, 7086, 6684, 6761, 9164, 6907, 7285, 7499, 6426, 6913, 7296, 6909, 8612, 6682, 6911, 6424, 8526, 7186, 7183, 7691, 8837, 9187, 9274, 9117, 9193, 9286
-    ];
-    
-    // Create form data
-    const formData = new FormData();
-    formData.append('action', 'load_more_posts');
-    formData.append('page', page.toString());
-    formData.append('instance_id', '2');
-    
-    // Add all post_ids
-    postIds.forEach(id => {
-        formData.append('post_ids[]', id.toString());
-    });
-    
+function findInstalledCharacter(character) {
+    if (!installedIndex) {
+        refreshInstalledIndex();
+    }
+
+    const byPath = installedIndex.byPath.get(character.fullPath) || installedIndex.byPath.get(character.fullUrl);
+    if (byPath) {
+        return { installed: byPath, reason: 'same source' };
+    }
+
+    const byNameCreator = installedIndex.byNameCreator.get(`${normalizeForDuplicateKey(character.originalName || character.name)}|${normalizeForDuplicateKey(character.author)}`);
+    if (byNameCreator) {
+        return { installed: byNameCreator, reason: 'same name and creator' };
+    }
+
+    return null;
+}
+
+/**
+ * Finds an installed character that is the same card as a downloaded card. Besides the checks of
+ * findInstalledCharacter, looks up the card content hash among the hashes recorded at import, then
+ * hashes characters without one, same-named first and loading at most CONTENT_HASH_LOAD_LIMIT.
+ * @param {Object} character - The normalized character object.
+ * @param {Blob} cardBlob - The downloaded card.
+ * @returns {Promise<{installed: Object, reason: string}|null>} - The installed character and how it matched, or null.
+ */
+async function findInstalledCharacterForCard(character, cardBlob) {
+    const match = findInstalledCharacter(character);
+    if (match) {
+        return match;
+    }
+
     try {
-        // Use corsproxy.io to avoid CORS issues
-        const proxyUrl = `https://corsproxy.io/?${encodeURIComponent(AICC_API_ENDPOINT)}`;
-        
-        // Create form data
-        const formData = new FormData();
-        formData.append('action', 'load_more_posts');
-        formData.append('page', page.toString());
-        formData.append('instance_id', '2');
-        
-        // Add all post_ids
-        postIds.forEach(id => {
-            formData.append('post_ids[]', id.toString());
-        });
-        
-        const response = await fetch(proxyUrl, {
-            method: 'POST',
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-                'Referer': 'https://aicharactercards.com/'
-            },
-            body: formData
-        });
-        
-        if (!response.ok) {
-            console.error('AICC API error:', response.status, response.statusText);
-            return [];
+        const definition = normalizeCardDefinition(await parseCardBlob(cardBlob));
+        const cardHash = await hashCardContent(definition);
+        if (!cardHash) {
+            return null;
         }
-        
-        const data = await response.json();
-        console.log('AICC API response:', data);
-        
-        if (!data.success || !data.data || !data.data.html) {
-            console.error('AICC API returned no data');
-            return [];
+
+        const byCreator = installedIndex.byNameCreator.get(`${normalizeForDuplicateKey(definition.name)}|${normalizeForDuplicateKey(definition.creator)}`);
+        if (byCreator) {
+            return { installed: byCreator, reason: 'same name and creator' };
         }
-        
-        // Parse HTML content
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(data.data.html, 'text/html');
-        const characterCards = doc.querySelectorAll('.col-md-4.mb-3');
-        
-        const characters = Array.from(characterCards).map(card => {
-            // Extract character information from HTML
-            const titleElement = card.querySelector('h3.aicc-card-title');
-            const name = titleElement ? titleElement.textContent.trim() : 'Unknown Character';
-            
-            const authorElement = card.querySelector('.acg-author-name');
-            const author = authorElement ? authorElement.textContent.trim().replace('@', '') : 'Unknown';
-            
-            // Filter out sponsored content (ads)
-            if (author.includes('赞助内容') || author.includes('Sponsored') || 
-                name.toLowerCase().includes('crushon') || name.toLowerCase().includes('sponsored') ||
-                author.toLowerCase().includes('crushon') || author.toLowerCase().includes('sponsored')) {
-                return null; // Skip this card
+
+        // Compared with the hash recorded at import, installed characters may be shallow copies without their content
+        const byContent = installedIndex.byContentHash.get(cardHash);
+        if (byContent) {
+            return { installed: byContent, reason: 'identical card content' };
+        }
+
+        // Characters imported by hand or before hashes were recorded
+        const name = normalizeForDuplicateKey(definition.name);
+        const unhashed = installedCharacters.filter(installed => !getInstalledProvenance(installed)?.contentHash)
+            .sort((a, b) => (normalizeForDuplicateKey(b.name) === name) - (normalizeForDuplicateKey(a.name) === name));
+        let loads = 0;
+        for (const installed of unhashed) {
+            if (!installedContentHashes.has(installed.avatar) && loads++ >= CONTENT_HASH_LOAD_LIMIT) continue;
+            if (await hashInstalledCharacter(installed) === cardHash) {
+                return { installed, reason: 'identical card content' };
             }
-            
-            const imgElement = card.querySelector('img.acg-card-img');
-            const avatarUrl = imgElement ? imgElement.src : '';
-            
-            const descriptionElement = card.querySelector('.post-card-excerpt p');
-            const description = descriptionElement ? descriptionElement.textContent.trim() : 'No description available';
-            
-            // Extract tags
-            const tagElements = card.querySelectorAll('.tagsCatContainer a');
-            const tags = Array.from(tagElements).map(tag => tag.textContent.trim()).filter(tag => tag);
-            
-            // Extract rating (count filled stars)
-            const starElements = card.querySelectorAll('.ccr-star.filled');
-            const rating = starElements.length;
-            
-            // Extract download count
-            const downloadElement = card.querySelector('.download-count');
-            const downloadCount = downloadElement ? parseInt(downloadElement.textContent.match(/\d+/)?.[0] || '0') : 0;
-            
-            // Extract upload date
-            const uploadElement = card.querySelector('.uploadDateCard');
-            const uploadDate = uploadElement ? uploadElement.textContent.replace('Uploaded:', '').trim() : '';
-            
-            // Extract content rating
-            const contentRatingElement = card.querySelector('.content-rating-sfw, .content-rating-nsfw');
-            const contentRating = contentRatingElement ? contentRatingElement.textContent.trim() : 'SFW';
-            
-            // Extract character link
-            const linkElement = card.querySelector('h3.aicc-card-title')?.closest('a');
-            const characterUrl = linkElement ? linkElement.href : '';
-            
-            // Extract character ID from URL
-            const characterId = characterUrl ? characterUrl.split('/').pop() : '';
-            
-            return {
-                url: avatarUrl,
-                description: description,
-                name: name,
-                fullPath: characterId,
-                fullUrl: characterUrl,
-                author: author,
-                authorUrl: `https://aicharactercards.com/author/${author}/`,
-                starCount: downloadCount,
-                rating: rating,
-                ratingCount: 0, // Not available in this API
-                nTokens: 0, // Not available in this API
-                forksCount: 0, // Not available in this API
-                nChats: 0, // Not available in this API
-                nMessages: 0, // Not available in this API
-                createdAt: uploadDate,
-                lastActivityAt: uploadDate,
-                avatar_url: avatarUrl,
-                max_res_url: avatarUrl,
-                verified: false, // Not available in this API
-                recommended: false, // Not available in this API
-                nsfw_image: contentRating === 'NSFW',
-                hasGallery: false, // Not available in this API
-                // Store original texts for hover display
-                originalName: name,
-                originalDescription: description,
-                originalTags: [...tags, ...tags, ...tags] // 原文, 译文, 值 (all same for AICC)
-            };
-        }).filter(character => character !== null); // Remove null entries (filtered ads)
-        
-        // Apply translations using the common function
-        return await applyTranslationsToCharacters(characters);
-        
+        }
     } catch (error) {
-        console.error('Error fetching from AICC API:', error);
+        console.warn('Could not compare card with installed characters:', error);
+    }
+    return null;
+}
+
+/**
+ * Asks what to do when a card about to be imported is already installed.
+ * @param {Object} character - The normalized character object.
+ * @param {{installed: Object, reason: string}} match - The installed character and how it matched.
+ * @returns {Promise<string|null>} - "replace", "keep" or "skip"; null if dismissed.
+ */
+async function confirmDuplicateImport(character, match) {
+    const dialog = openOverlayDialog(`"${character.name}" is already installed`, `
+        <p>An installed character, <b>${escapeHtml(match.installed.name)}</b>, matches this card (${escapeHtml(match.reason)}).</p>
+        <p>Replace it with the downloaded card, keep both, or skip this import?</p>
+    `, [
+        { label: 'Replace', value: 'replace' },
+        { label: 'Keep both', value: 'keep' },
+        { label: 'Skip', value: 'skip' }
+    ]);
+    return await dialog.result;
+}
+
+/**
+ * Reloads SillyTavern's character list after an import and updates the "Installed" badges.
+ * @returns {Promise<void>}
+ */
+async function refreshInstalledCharacters() {
+    const listedAt = Date.now();
+    try {
+        await getCharacters();
+        pruneImportedCharacters(listedAt);
+    } catch (error) {
+        console.warn('Could not reload characters:', error);
+    }
+    refreshInstalledIndex();
+
+    characterListContainer?.querySelectorAll('.character-list-item').forEach(listItem => {
+        const character = chubCharacters[Number(listItem.getAttribute('data-index'))];
+        const badge = listItem.querySelector('.installed-badge');
+        const match = character ? findInstalledCharacter(character) : null;
+        if (match && !badge) {
+            listItem.querySelector('.character-header').insertAdjacentHTML('beforeend', generateInstalledBadge(match));
+        } else if (!match && badge) {
+            badge.remove();
+        }
+    });
+}
+
+/**
+ * Generates the "Installed" badge of a list item.
+ * @param {{installed: Object, reason: string}} match - The installed character and how it matched.
+ * @returns {string} - The badge HTML.
+ */
+function generateInstalledBadge(match) {
+    return `<span class="installed-badge" title="Installed as ${escapeHtml(match.installed.name)} (${escapeHtml(match.reason)})">✓ Installed</span>`;
+}
+
+/**
+ * Runs an async function over a list with at most `limit` calls in flight.
+ * @param {Array} items - The items to process.
+ * @param {number} limit - The maximum number of concurrent calls.
+ * @param {function(*): Promise} fn - Called once per item.
+ * @returns {Promise<void>} - Resolves once every item has been processed.
+ */
+async function runWithConcurrency(items, limit, fn) {
+    const pending = [...items];
+    const workers = Array.from({ length: Math.min(limit, pending.length) }, async () => {
+        while (pending.length > 0) {
+            await fn(pending.shift());
+        }
+    });
+    await Promise.all(workers);
+}
+
+/**
+ * Parses the tag alias table from its text form, one `Canonical: alias, alias` entry per line.
+ * @param {string} text - The alias table as typed by the user.
+ * @returns {Object<string, Array<string>>} - Canonical tag name -> the names other sites use for it.
+ */
+function parseTagAliases(text) {
+    const aliases = {};
+    for (const line of String(text || '').split('\n')) {
+        const separator = line.indexOf(':');
+        if (separator === -1) continue;
+        const canonical = line.slice(0, separator).trim();
+        if (canonical) {
+            aliases[canonical] = line.slice(separator + 1).split(',').map(alias => alias.trim()).filter(alias => alias.length > 0);
+        }
+    }
+    return aliases;
+}
+
+/**
+ * Formats the tag alias table for editing, the inverse of parseTagAliases.
+ * @param {Object<string, Array<string>>} aliases - Canonical tag name -> aliases.
+ * @returns {string} - One `Canonical: alias, alias` entry per line.
+ */
+function formatTagAliases(aliases) {
+    return Object.entries(aliases || {}).map(([canonical, names]) => `${canonical}: ${names.join(', ')}`).join('\n');
+}
+
+/**
+ * Parses the tag mapping table from its text form, one `source -> target` rule per line.
+ * An empty target drops the tag; several sources mapped to one target merge them.
+ * @param {string} text - The mapping table as typed by the user.
+ * @returns {Object<string, string>} - Lowercased source tag -> target tag name ('' to drop).
+ */
+function parseTagMappings(text) {
+    const mappings = {};
+    for (const line of String(text || '').split('\n')) {
+        const separator = line.indexOf('->');
+        if (separator === -1) continue;
+        const source = line.slice(0, separator).trim().toLowerCase();
+        if (source) {
+            mappings[source] = line.slice(separator + 2).trim();
+        }
+    }
+    return mappings;
+}
+
+/**
+ * Formats the tag mapping table for the settings textarea.
+ * @param {Object<string, string>} mappings - Lowercased source tag -> target tag name.
+ * @returns {string} - One `source -> target` rule per line.
+ */
+function formatTagMappings(mappings) {
+    return Object.entries(mappings || {}).map(([source, target]) => `${source} -> ${target}`).join('\n');
+}
+
+/**
+ * Checks whether a tag carries no useful information: placeholders, bare numbers, overly long
+ * sentences and the tags listed in the noise tag setting.
+ * @param {string} tag - The tag name.
+ * @returns {boolean} - True if the tag should be skipped.
+ */
+function isNoiseTag(tag) {
+    const name = tag.trim().toLowerCase();
+    if (name.length < 2 || name.length > 32 || /^\d+$/.test(name) || /^tag \d+$/.test(name)) {
+        return true;
+    }
+    return (extension_settings.chub.noiseTags || []).some(noise => noise.toLowerCase() === name);
+}
+
+/**
+ * Maps a character's provider tags to SillyTavern tag names through the mapping table.
+ * @param {Object} character - The normalized character object.
+ * @returns {string[]} - The tag names to assign, without case-insensitive duplicates.
+ */
+function mapProviderTags(character) {
+    if (!Array.isArray(character.originalTags) || character.originalTags.length === 0) {
         return [];
     }
+
+    // Map the untranslated tag texts, the mapping table is written against them
+    const tagTexts = character.originalTags.slice(0, character.originalTags.length / 3);
+    const mappings = extension_settings.chub.tagMappings || {};
+    const result = new Map();
+    for (const text of tagTexts) {
+        const source = String(text || '').trim();
+        if (!source) continue;
+        const target = Object.prototype.hasOwnProperty.call(mappings, source.toLowerCase()) ? mappings[source.toLowerCase()] : source;
+        if (!target || (extension_settings.chub.skipNoiseTags && isNoiseTag(target))) continue;
+        if (!result.has(target.toLowerCase())) {
+            result.set(target.toLowerCase(), target);
+        }
+    }
+    return [...result.values()];
+}
+
+/**
+ * Creates or reuses SillyTavern tags for a character's provider tags and assigns them to the
+ * imported character.
+ * @param {Object} character - The normalized character object the card was imported for.
+ * @param {Object} importResult - The response of the character import, with the new `file_name`.
+ * @returns {number} - The number of tags newly assigned.
+ */
+function applyImportedTags(character, importResult) {
+    if (!extension_settings.chub.importTags || !importResult || !importResult.file_name) {
+        return 0;
+    }
+
+    const avatar = `${importResult.file_name}.png`;
+    const assigned = tag_map[avatar] || (tag_map[avatar] = []);
+    let added = 0;
+    for (const name of mapProviderTags(character)) {
+        const tag = tags.find(existing => existing.name.toLowerCase() === name.toLowerCase()) || createNewTag(name);
+        if (!assigned.includes(tag.id)) {
+            assigned.push(tag.id);
+            added++;
+        }
+    }
+    if (added > 0) {
+        saveSettingsDebounced();
+    }
+    return added;
+}
+
+/**
+ * Records where a card was imported from in its `extensions` data, so installed cards can be
+ * matched to their source and checked for upstream updates.
+ * @param {Blob} cardBlob - The card PNG.
+ * @param {Object} character - The normalized character object it was downloaded for.
+ * @returns {Promise<Blob>} - The card PNG with provenance, or the original card if it carries no card data.
+ */
+async function addProvenanceToCard(cardBlob, character) {
+    const buffer = await cardBlob.arrayBuffer();
+    let card = readCardFromPng(buffer);
+    if (!card) {
+        return cardBlob;
+    }
+    if (!card.data) {
+        // V1 cards have no extensions, upgrade them
+        card = buildCharacterCard(normalizeCardDefinition(card), 'v2');
+    }
+
+    card.data.extensions = {
+        ...card.data.extensions,
+        [EXTENSION_DATA_KEY]: {
+            provider: character.provider,
+            fullPath: character.fullPath,
+            fullUrl: character.fullUrl,
+            cardDataUrl: character.cardDataUrl || '',
+            name: character.originalName || character.name,
+            author: character.author,
+            max_res_url: character.max_res_url || '',
+            version: character.version || (character.provider === 'chub' ? 'main' : ''),
+            lastActivityAt: character.lastActivityAt || '',
+            contentHash: await hashCardContent(normalizeCardDefinition(card)),
+            importedAt: new Date().toISOString()
+        }
+    };
+    return writeCardToPng(buffer, card);
+}
+
+/**
+ * Loads the full data of an installed character, which SillyTavern may only keep a shallow copy of.
+ * @param {Object} installed - The entry from SillyTavern's character list.
+ * @returns {Promise<Object>} - The full character.
+ */
+async function fetchFullCharacter(installed) {
+    if (!installed.shallow) {
+        return installed;
+    }
+    const response = await fetch('/api/characters/get', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ avatar_url: installed.avatar }),
+    });
+    if (!response.ok) {
+        throw new Error(`Failed to load ${installed.name}: ${response.status}`);
+    }
+    return await response.json();
+}
+
+/**
+ * Diffs two texts line by line.
+ * @param {string} oldText - The installed text.
+ * @param {string} newText - The upstream text.
+ * @returns {string} - HTML with removed lines in `.diff-removed` and added lines in `.diff-added`.
+ */
+function diffLines(oldText, newText) {
+    const a = (oldText || '').split('\n');
+    const b = (newText || '').split('\n');
+
+    // Longest common subsequence table, filled from the end
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            lines.push(`<div>${escapeHtml(a[i])}</div>`);
+            i++;
+            j++;
+        } else if (j < b.length && (i >= a.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+            lines.push(`<div class="diff-added">+ ${escapeHtml(b[j])}</div>`);
+            j++;
+        } else {
+            lines.push(`<div class="diff-removed">- ${escapeHtml(a[i])}</div>`);
+            i++;
+        }
+    }
+    return lines.join('');
+}
+
+/**
+ * Renders the fields that differ between an installed card and its upstream version.
+ * @param {Object} installedDefinition - The normalized definition of the installed card.
+ * @param {Object} upstreamDefinition - The normalized definition of the upstream card.
+ * @returns {string} - The HTML for the diff dialog.
+ */
+function generateCardDiff(installedDefinition, upstreamDefinition) {
+    const fields = {
+        name: 'Name',
+        description: 'Description',
+        personality: 'Personality',
+        scenario: 'Scenario',
+        first_mes: 'First Message',
+        alternate_greetings: 'Alternate Greetings',
+        mes_example: 'Example Dialogue',
+        creator_notes: 'Creator Notes',
+        system_prompt: 'System Prompt',
+        post_history_instructions: 'Post-History Instructions',
+        tags: 'Tags'
+    };
+    const asText = (value) => Array.isArray(value) ? value.join('\n---\n') : String(value ?? '');
+
+    const sections = Object.entries(fields)
+        .filter(([field]) => asText(installedDefinition[field]) !== asText(upstreamDefinition[field]))
+        .map(([field, title]) => `
+            <div class="preview-section">
+                <h4>${title}</h4>
+                <div class="preview-text card-diff">${diffLines(asText(installedDefinition[field]), asText(upstreamDefinition[field]))}</div>
+            </div>
+        `);
+
+    return sections.length > 0 ? sections.join('') : '<p>The card text is identical; only metadata or the image changed.</p>';
+}
+
+/**
+ * Adds the characters imported before `importedCharacters` existed to it, by loading the full
+ * record of every installed character it does not list. Runs until it succeeds once.
+ * @returns {Promise<void>}
+ */
+async function migrateImportedCharacters() {
+    if (extension_settings.chub.importedCharactersMigrated || installedCharacters.length === 0) {
+        return;
+    }
+
+    const found = {};
+    let failed = false;
+    const unknown = installedCharacters.filter(installed => !getInstalledProvenance(installed));
+    await runWithConcurrency(unknown, IMPORT_CONCURRENCY, async (installed) => {
+        try {
+            const full = await fetchFullCharacter(installed);
+            const provenance = full.data?.extensions?.[EXTENSION_DATA_KEY];
+            if (provenance) {
+                found[installed.avatar] = { ...provenance, recordedAt: Date.now() };
+            }
+        } catch (error) {
+            console.warn('Could not load installed character:', installed.name, error);
+            failed = true;
+        }
+    });
+
+    extension_settings.chub.importedCharacters = { ...extension_settings.chub.importedCharacters, ...found };
+    extension_settings.chub.importedCharactersMigrated = !failed;
+    saveSettings();
+}
+
+/**
+ * Re-queries the source of every installed character that has import provenance, and lists the
+ * ones whose card changed upstream since they were imported. Changed cards can be diffed against
+ * the installed version or re-imported over it.
+ * @returns {Promise<void>} - Resolves once every source has been checked.
+ */
+async function checkForUpdates() {
+    const dialog = openOverlayDialog('Check for updates', '<div class="preview-loading"><i class="fa-solid fa-spinner fa-spin"></i> Loading installed characters...</div>', [{ label: 'Close', value: 'close' }]);
+
+    // Only load the full records of characters known to be imported with this extension
+    await migrateImportedCharacters();
+    const candidates = installedCharacters.filter(installed => getInstalledProvenance(installed));
+    const tracked = [];
+    await runWithConcurrency(candidates, IMPORT_CONCURRENCY, async (installed) => {
+        try {
+            const full = await fetchFullCharacter(installed);
+            const provenance = full.data?.extensions?.[EXTENSION_DATA_KEY] || getInstalledProvenance(installed);
+            if (provenance && providers.has(provenance.provider)) {
+                tracked.push({ installed: full, provenance, status: 'checking', upstreamBlob: null, error: '' });
+            }
+        } catch (error) {
+            console.warn('Could not load installed character:', installed.name, error);
+        }
+    });
+
+    if (tracked.length === 0) {
+        dialog.content.innerHTML = '<p>No installed characters were imported with this extension yet.</p>';
+        return;
+    }
+
+    const statusLabels = {
+        checking: '<i class="fa-solid fa-spinner fa-spin"></i> Checking',
+        current: '<i class="fa-solid fa-check"></i> Up to date',
+        changed: '<i class="fa-solid fa-arrow-up"></i> Updated upstream',
+        failed: '<i class="fa-solid fa-triangle-exclamation"></i> Could not check'
+    };
+
+    dialog.content.innerHTML = `
+        <div class="import-queue">
+            ${tracked.map((item, i) => `
+                <div class="import-queue-item" data-queue-index="${i}">
+                    <span class="import-queue-name">${escapeHtml(item.installed.name)} <small>${escapeHtml(getProvider(item.provenance.provider).name)}${item.provenance.version && item.provenance.version !== 'main' ? ` · version ${escapeHtml(String(item.provenance.version).slice(0, 8))}` : ''}</small></span>
+                    <span class="import-queue-status"></span>
+                </div>
+            `).join('')}
+        </div>
+        <div class="import-summary"></div>
+    `;
+
+    const renderItem = (i) => {
+        const item = tracked[i];
+        const row = dialog.content.querySelector(`[data-queue-index="${i}"]`);
+        row.setAttribute('data-status', item.status);
+        row.querySelector('.import-queue-status').innerHTML = `
+            ${statusLabels[item.status]}
+            ${item.error ? `<small title="${escapeHtml(item.error)}">${escapeHtml(item.error)}</small>` : ''}
+            ${item.status === 'changed' ? `
+                <div class="menu_button update-diff fa-solid fa-code-compare" title="Show changes"></div>
+                <div class="menu_button update-reimport fa-solid fa-cloud-arrow-down" title="Re-import over the installed character"></div>
+            ` : ''}
+        `;
+    };
+    tracked.forEach((_, i) => renderItem(i));
+
+    await runWithConcurrency(tracked.map((_, i) => i), IMPORT_CONCURRENCY, async (i) => {
+        const item = tracked[i];
+        try {
+            // Compare the latest revision against the content of the recorded (possibly pinned) one
+            const { version, ...source } = { ...item.provenance, name: item.provenance.name || item.installed.name };
+            item.upstreamBlob = await getProvider(source.provider).fetchCard(source);
+            const upstreamHash = await hashCardContent(normalizeCardDefinition(await parseCardBlob(item.upstreamBlob)));
+            item.status = upstreamHash !== item.provenance.contentHash ? 'changed' : 'current';
+        } catch (error) {
+            console.error('Error checking for updates:', item.installed.name, error);
+            item.status = 'failed';
+            item.error = error.message;
+        }
+        renderItem(i);
+    });
+
+    const changed = tracked.filter(item => item.status === 'changed').length;
+    dialog.content.querySelector('.import-summary').textContent = `${changed} of ${tracked.length} characters changed upstream`;
+
+    dialog.content.addEventListener('click', async (event) => {
+        const row = event.target.closest('.import-queue-item');
+        const item = row ? tracked[Number(row.getAttribute('data-queue-index'))] : null;
+        if (!item || !item.upstreamBlob) return;
+
+        if (event.target.closest('.update-diff')) {
+            const upstreamDefinition = normalizeCardDefinition(await parseCardBlob(item.upstreamBlob));
+            openOverlayDialog(`Changes to ${item.installed.name}`, generateCardDiff(normalizeCardDefinition(item.installed), upstreamDefinition), [{ label: 'Close', value: 'close' }]);
+        } else if (event.target.closest('.update-reimport')) {
+            // The re-imported card is the latest revision, so the pinned version is not kept
+            const { version, ...source } = { ...item.provenance, name: item.installed.name };
+            const cardBlob = await addProvenanceToCard(item.upstreamBlob, source);
+            const result = await uploadCharacter(cardBlob, `${item.installed.name}.png`, 'png', item.installed.avatar);
+            if (result) {
+                await recordImportedCharacter(result, cardBlob);
+                item.status = 'current';
+                renderItem(Number(row.getAttribute('data-queue-index')));
+                await refreshInstalledCharacters();
+            }
+        }
+    });
+}
+
+/**
+ * Imports a character through its provider's fetchCard function and uploads the card to SillyTavern.
+ * If the card is already installed, asks whether to replace it, keep both or skip.
+ * @param {Object} character - The normalized character object.
+ * @param {Blob} [cardBlob] - An already downloaded card, e.g. from the preview dialog.
+ * @returns {Promise<boolean>} - Resolves with true if successful, false otherwise (including when skipped).
+ */
+async function importCharacterCard(character, cardBlob = null) {
+    try {
+        const blob = cardBlob || await fetchCharacterCard(character);
+
+        let preservedName = null;
+        const match = await findInstalledCharacterForCard(character, blob);
+        if (match) {
+            const choice = await confirmDuplicateImport(character, match);
+            if (choice !== 'replace' && choice !== 'keep') {
+                return false;
+            }
+            if (choice === 'replace') {
+                preservedName = match.installed.avatar;
+            }
+        }
+
+        const { cardBlob: cardWithLore, extraBooks } = await importCardLorebooks(character, blob);
+        const cardWithProvenance = await addProvenanceToCard(cardWithLore, character);
+        const result = await uploadCharacter(cardWithProvenance, `${character.name || 'character'}.png`, 'png', preservedName);
+        if (result) {
+            await recordImportedCharacter(result, cardWithProvenance);
+            applyImportedTags(character, result);
+            bindExtraLorebooks(result, extraBooks);
+            await importCharacterMedia(character, result, cardWithLore);
+            await refreshInstalledCharacters();
+        }
+        return !!result;
+    } catch (error) {
+        console.error('Error importing character:', error);
+        notifyImportFailed(character, error.message);
+        return false;
+    }
+}
+
+/**
+ * Hands a character page URL to SillyTavern's own external import dialog.
+ * @param {string} fullUrl - The character page URL.
+ * @returns {Promise<boolean>} - Resolves with true once the dialog has been opened.
+ */
+async function openExternalImport(fullUrl) {
+    console.log('Using full URL for external import:', fullUrl);
+    $('#external_import_button').click();
+    setTimeout(() => {
+        $('dialog textarea').val(fullUrl);
+    }, 1000);
+    return true;
+}
+
+/**
+ * Downloads a character card from the character's card data URL.
+ * @param {Object} character - The normalized character object.
+ * @returns {Promise<Blob>} - The card PNG. Rejects if the character has no card data URL or the download failed.
+ */
+async function fetchCardDataUrlCard(character) {
+    if (!character.cardDataUrl || character.cardDataUrl.trim() === '') {
+        throw new Error('No card download available');
+    }
+    return await fetchCardFromUrl(character.cardDataUrl);
+}
+
+/**
+ * Downloads a Character Tavern character through its card data URL, falling back to the external import dialog.
+ * @param {Object} character - The normalized character object.
+ * @returns {Promise<boolean>} - Resolves with true if successful, false otherwise.
+ */
+async function downloadCharacterTavernCharacter(character) {
+    let cardBlob;
+    try {
+        cardBlob = await fetchCardDataUrlCard(character);
+    } catch (error) {
+        // 如果直接下载失败，回退到原来的方式
+        console.log('Falling back to external import:', character.fullUrl, error);
+        return await openExternalImport(character.fullUrl);
+    }
+    return await importCharacterCard(character, cardBlob);
+}
+
+/**
+ * Starts loading the thumbnails of the list items as they scroll into view.
+ * @param {HTMLElement} container - The element holding the list items.
+ */
+function observeThumbnails(container) {
+    if (!thumbnailObserver) {
+        thumbnailObserver = new IntersectionObserver((entries) => {
+            for (const entry of entries) {
+                if (entry.isIntersecting) {
+                    thumbnailObserver.unobserve(entry.target);
+                    thumbnailQueue.push(entry.target);
+                }
+            }
+            loadQueuedThumbnails();
+        }, { rootMargin: '200px' });
+    }
+    container.querySelectorAll('img.thumbnail[data-src]').forEach(img => thumbnailObserver.observe(img));
+}
+
+/**
+ * Loads queued thumbnails, at most THUMBNAIL_CONCURRENCY at a time.
+ */
+function loadQueuedThumbnails() {
+    while (activeThumbnailLoads < THUMBNAIL_CONCURRENCY && thumbnailQueue.length > 0) {
+        const img = thumbnailQueue.shift();
+        if (!img.isConnected) continue; // the page was replaced meanwhile
+
+        activeThumbnailLoads++;
+        loadThumbnail(img).finally(() => {
+            activeThumbnailLoads--;
+            loadQueuedThumbnails();
+        });
+    }
+}
+
+/**
+ * Loads one thumbnail as a blob URL, from the cache or its source. Falls back to the plain image URL
+ * if the host does not allow fetching it.
+ * @param {HTMLImageElement} img - The thumbnail element, with the image URL in `data-src` and the provider in `data-provider`.
+ * @returns {Promise<void>}
+ */
+async function loadThumbnail(img) {
+    const src = img.getAttribute('data-src');
+    const providerId = img.getAttribute('data-provider');
+    img.removeAttribute('data-src');
+    try {
+        let thumbnail = await getCachedValue(providerId, `thumbnail:${src}`);
+        if (!thumbnail) {
+            const response = await fetch(src);
+            if (!response.ok) {
+                throw new Error(`Failed to load thumbnail: ${response.status}`);
+            }
+            thumbnail = await response.blob();
+            await setCachedValue(providerId, `thumbnail:${src}`, thumbnail);
+        }
+        const objectUrl = URL.createObjectURL(thumbnail);
+        thumbnailObjectUrls.add(objectUrl);
+        img.src = objectUrl;
+    } catch (error) {
+        img.src = src;
+    }
+}
+
+/**
+ * Stops pending thumbnail loads and releases the blob URLs of the thumbnails of the current page.
+ */
+function releaseThumbnails() {
+    if (thumbnailObserver) {
+        thumbnailObserver.disconnect();
+    }
+    thumbnailQueue.length = 0;
+    thumbnailObjectUrls.forEach(objectUrl => URL.revokeObjectURL(objectUrl));
+    thumbnailObjectUrls.clear();
+}
+
+/**
+ * Updates the character list in the view based on provided characters.
+ * @param {Array} characters - A list of character data objects to be rendered in the view.
+ */
+function updateCharacterListInView(characters) {
+    if (characterListContainer) {
+        // Get currently selected tags
+        const selectedTags = getSelectedTagKeys();
+        const showProvider = extension_settings.chub.apiProvider === 'all';
+        refreshInstalledIndex();
+        
+        releaseThumbnails();
+        characterListContainer.innerHTML = characters.map((character, index) => generateCharacterListItem(character, index, selectedTags, showProvider)).join('')
+            + (extension_settings.chub.infiniteScroll ? '<div class="load-more-sentinel"></div>' : '');
+        observeThumbnails(characterListContainer);
+        observeLoadMore();
+        updateSelectionControls();
+    }
+}
+
+/**
+ * Appends a further page of results to the list. Entries that gained a source through duplicate
+ * merging are re-rendered in place.
+ * @param {Array} previous - The characters shown so far.
+ * @param {Array} characters - The full list after appending, starting with the entries of `previous`.
+ */
+function appendCharactersToView(previous, characters) {
+    if (!characterListContainer) return;
+
+    const selectedTags = getSelectedTagKeys();
+    const showProvider = extension_settings.chub.apiProvider === 'all';
+    const sentinel = characterListContainer.querySelector('.load-more-sentinel');
+    refreshInstalledIndex();
+
+    characters.forEach((character, index) => {
+        const html = generateCharacterListItem(character, index, selectedTags, showProvider);
+        if (index >= previous.length) {
+            if (sentinel) {
+                sentinel.insertAdjacentHTML('beforebegin', html);
+            } else {
+                characterListContainer.insertAdjacentHTML('beforeend', html);
+            }
+        } else if ((character.sources || []).length !== (previous[index].sources || []).length) {
+            const item = characterListContainer.querySelector(`.character-list-item[data-index="${index}"]`);
+            if (item) item.outerHTML = html;
+        }
+    });
+    observeThumbnails(characterListContainer);
+    updateSelectionControls();
+}
+
+/**
+ * Watches the end of the list and loads the next page when it scrolls into view, if infinite scroll is on.
+ * Observing again also fires right away while the end is still visible, so short pages keep loading.
+ */
+function observeLoadMore() {
+    if (loadMoreObserver) {
+        loadMoreObserver.disconnect();
+    }
+    const sentinel = characterListContainer && characterListContainer.querySelector('.load-more-sentinel');
+    if (!sentinel) return;
+
+    loadMoreObserver = new IntersectionObserver((entries) => {
+        if (entries.some(entry => entry.isIntersecting)) {
+            loadNextPage();
+        }
+    }, { rootMargin: '300px' });
+    loadMoreObserver.observe(sentinel);
+}
+
+/**
+ * Loads the page after the last loaded one of the current search and appends it to the list,
+ * regrouping duplicates across pages.
+ * @returns {Promise<void>}
+ */
+async function loadNextPage() {
+    const search = currentSearch;
+    if (!search || search.loading || search.exhausted || !characterListContainer) return;
+
+    const generation = searchGeneration;
+    const sentinel = characterListContainer.querySelector('.load-more-sentinel');
+    search.loading = true;
+    if (sentinel) sentinel.innerHTML = '<i class="fa-solid fa-spinner fa-spin"></i> Loading more...';
+
+    try {
+        const page = search.page + 1;
+        const result = await fetchCharactersBySearch({ ...search.options, page });
+        if (generation !== searchGeneration) return;
+        recordSeenTags(result.characters);
+
+        search.page = page;
+        search.loaded += result.characters.length;
+        if (result.total !== null) search.total = result.total;
+        search.exhausted = result.characters.length === 0 || (search.total !== null && search.loaded >= search.total);
+
+        const previous = chubCharacters;
+        searchResults = [...searchResults, ...result.characters];
+        let characters = [...previous, ...applyLocalFilters(result.characters, search.options)];
+        if (extension_settings.chub.mergeDuplicates && result.characters.length > 0) {
+            characters = await groupDuplicateCharacters(characters);
+        }
+        if (generation !== searchGeneration) return;
+
+        chubCharacters = characters;
+        appendCharactersToView(previous, characters);
+        document.getElementById('pageNumber').value = page;
+    } catch (error) {
+        console.error('Error loading the next page:', error);
+        toastr.error('Error loading more results: ' + error.message);
+        search.exhausted = true;
+    } finally {
+        search.loading = false;
+    }
+
+    updateResultCount();
+    updateLocalFilterSummary();
+    if (sentinel) sentinel.textContent = search.exhausted ? 'No more results' : '';
+    if (!search.exhausted) {
+        observeLoadMore();
+    }
+}
+
+/**
+ * Shows the number of results the provider reported for the current search, if it reports one.
+ */
+function updateResultCount() {
+    const resultCount = document.getElementById('resultCount');
+    if (!resultCount) return;
+    const total = currentSearch ? currentSearch.total : null;
+    resultCount.textContent = total !== null ? `${total.toLocaleString()} result${total === 1 ? '' : 's'}` : '';
+}
+
+/**
+ * Builds a key that identifies a character across searches.
+ * @param {Object} character - The normalized character object.
+ * @returns {string} - The key.
+ */
+function getCharacterKey(character) {
+    return `${character.provider}:${character.fullPath || character.fullUrl}`;
+}
+
+/**
+ * Tells whether a search result can go through the bulk import queue, which only handles character cards.
+ * @param {Object} character - The normalized search result.
+ * @returns {boolean} - True for characters.
+ */
+function isBulkImportable(character) {
+    return (character.contentType || 'characters') === 'characters';
+}
+
+/**
+ * Syncs the "select all on page" checkbox and the selected count with the current selection.
+ */
+function updateSelectionControls() {
+    const selectAllCheckbox = document.getElementById('selectAllCheckbox');
+    const selectedCount = document.getElementById('selectedCount');
+
+    if (selectAllCheckbox) {
+        const selectable = chubCharacters.filter(isBulkImportable);
+        selectAllCheckbox.checked = selectable.length > 0 && selectable.every(character => selectedCharacters.has(getCharacterKey(character)));
+    }
+    if (selectedCount) {
+        selectedCount.textContent = selectedCharacters.size;
+    }
+}
+
+/**
+ * Imports several characters through their providers' fetchCard functions, a few at a time.
+ * Progress is shown per character in a dialog, failures can be retried, and a single summary
+ * is shown at the end instead of one notification per card.
+ * @param {Array} characters - The normalized character objects to import.
+ * @returns {Promise<void>} - Resolves once every character has been attempted.
+ */
+async function runImportQueue(characters) {
+    const statusLabels = {
+        queued: '<i class="fa-solid fa-clock"></i> Queued',
+        downloading: '<i class="fa-solid fa-spinner fa-spin"></i> Downloading',
+        uploading: '<i class="fa-solid fa-spinner fa-spin"></i> Importing',
+        done: '<i class="fa-solid fa-check"></i> Imported',
+        skipped: '<i class="fa-solid fa-forward"></i> Already installed',
+        failed: '<i class="fa-solid fa-triangle-exclamation"></i> Failed'
+    };
+    const items = characters.map(character => ({ character, status: 'queued', error: '' }));
+
+    const dialog = openOverlayDialog(`Importing ${items.length} characters`, `
+        <div class="import-queue">
+            ${items.map((item, i) => `
+                <div class="import-queue-item" data-queue-index="${i}">
+                    <span class="import-queue-name">${escapeHtml(item.character.name)} <small>${escapeHtml(getProvider(item.character.provider).name)}</small></span>
+                    <span class="import-queue-status"></span>
+                </div>
+            `).join('')}
+        </div>
+        <div class="import-summary"></div>
+    `, [{ label: 'Close', value: 'close' }]);
+
+    const renderItem = (i) => {
+        const item = items[i];
+        const row = dialog.content.querySelector(`[data-queue-index="${i}"]`);
+        row.setAttribute('data-status', item.status);
+        row.querySelector('.import-queue-status').innerHTML = `
+            ${statusLabels[item.status]}
+            ${item.error ? `<small title="${escapeHtml(item.error)}">${escapeHtml(item.error)}</small>` : ''}
+            ${item.status === 'failed' ? '<div class="menu_button import-retry fa-solid fa-rotate-right" title="Retry"></div>' : ''}
+            ${item.status === 'skipped' ? '<div class="menu_button import-retry import-anyway fa-solid fa-clone" title="Import anyway, keeping both"></div>' : ''}
+        `;
+    };
+
+    const importItem = async (i, force = false) => {
+        const item = items[i];
+        const provider = getProvider(item.character.provider);
+        item.error = '';
+        try {
+            if (!provider.fetchCard) {
+                throw new Error(`${provider.name} does not offer card downloads`);
+            }
+            item.status = 'downloading';
+            renderItem(i);
+            const cardBlob = await fetchCharacterCard(item.character);
+
+            const match = force ? null : await findInstalledCharacterForCard(item.character, cardBlob);
+            if (match) {
+                item.status = 'skipped';
+                item.error = `Matches ${match.installed.name} (${match.reason})`;
+                renderItem(i);
+                return;
+            }
+
+            item.status = 'uploading';
+            renderItem(i);
+            const { cardBlob: cardWithLore, extraBooks } = await importCardLorebooks(item.character, cardBlob);
+            const cardWithProvenance = await addProvenanceToCard(cardWithLore, item.character);
+            const result = await postCharacterImport(cardWithProvenance, `${item.character.name || 'character'}.png`);
+            await recordImportedCharacter(result, cardWithProvenance);
+            applyImportedTags(item.character, result);
+            bindExtraLorebooks(result, extraBooks);
+            await importCharacterMedia(item.character, result, cardWithLore);
+
+            item.status = 'done';
+            selectedCharacters.delete(getCharacterKey(item.character));
+        } catch (error) {
+            console.error('Error importing character:', item.character.name, error);
+            item.status = 'failed';
+            item.error = error.message;
+        }
+        renderItem(i);
+    };
+
+    const runPending = async (indices, force = false) => {
+        indices.forEach(i => {
+            items[i].status = 'queued';
+            renderItem(i);
+        });
+
+        await runWithConcurrency(indices, IMPORT_CONCURRENCY, (i) => importItem(i, force));
+
+        const imported = items.filter(item => item.status === 'done').length;
+        const skipped = items.filter(item => item.status === 'skipped').length;
+        const failed = items.filter(item => item.status === 'failed').length;
+        const summary = `Imported ${imported} of ${items.length} characters${skipped ? `, ${skipped} already installed` : ''}${failed ? `, ${failed} failed` : ''}`;
+        dialog.content.querySelector('.import-summary').textContent = summary;
+        if (failed) {
+            toastr.warning(summary, 'Bulk import finished');
+        } else {
+            toastr.success(summary, 'Bulk import finished');
+        }
+        updateSelectionControls();
+        await refreshInstalledCharacters();
+    };
+
+    dialog.content.addEventListener('click', (event) => {
+        const retryButton = event.target.closest('.import-retry');
+        if (retryButton) {
+            const force = retryButton.classList.contains('import-anyway');
+            runPending([Number(retryButton.closest('.import-queue-item').getAttribute('data-queue-index'))], force);
+        }
+    });
+
+    await runPending(items.map((_, i) => i));
+}
+
+/**
+ * Generates a list of permutations for the given tags. The permutations include:
+ * - Original tag.
+ * - Tag in uppercase.
+ * - Tag with the first letter in uppercase.
+ * @param {Array<string>} tags - List of tags for which permutations are to be generated.
+ * @returns {Array<string>} - A list containing all the tag permutations.
+ */
+function makeTagPermutations(tags) {
+    let permutations = [];
+    for (let tag of tags) {
+        if(tag) {
+            permutations.push(tag);
+            permutations.push(tag.toUpperCase());
+            permutations.push(tag[0].toUpperCase() + tag.slice(1));
+        }
+    }
+    return permutations;
+}
+
+/**
+ * Fetches a JSON document through the crawl API, which wraps the page it loaded in HTML.
+ * @param {string} url - The URL to fetch.
+ * @returns {Promise<Object|null>} - The parsed JSON, or null if the request or parsing failed.
+ */
+async function fetchJsonViaCrawl(url) {
+    const crawlApiEndpoint = extension_settings.chub.crawlApiEndpoint || CRAWL_API_ENDPOINT;
+    const crawlApiKey = extension_settings.chub.crawlApiKey || CRAWL_API_KEY;
+
+    console.log('Fetching via crawl API:', crawlApiEndpoint);
+    console.log('Target URL:', url);
+
+    try {
+        const response = await fetch(crawlApiEndpoint, {
+            method: 'POST',
+            headers: {
+                'X-Token': crawlApiKey,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ url: url })
+        });
+
+        if (!response.ok) {
+            console.error('Crawl API error:', response.status, response.statusText);
+            return null;
+        }
+
+        const crawlResponse = await response.json();
+        console.log('Crawl API response:', crawlResponse);
+
+        // Parse the wrapped response structure
+        if (!crawlResponse.result || !crawlResponse.result._results || crawlResponse.result._results.length === 0) {
+            console.error('Unexpected crawl API response structure:', crawlResponse);
+            return null;
+        }
+
+        // Extract HTML content and parse JSON from <body><pre> tag
+        const htmlContent = crawlResponse.result._results[0].html;
+        const parser = new DOMParser();
+        const doc = parser.parseFromString(htmlContent, 'text/html');
+        const preElement = doc.querySelector('body pre');
+
+        if (!preElement) {
+            console.error('No pre element found in HTML content');
+            return null;
+        }
+
+        const data = JSON.parse(preElement.textContent.trim());
+        console.log('Parsed data from HTML pre tag:', data);
+        return data;
+    } catch (error) {
+        console.error('Error fetching from crawl API:', error);
+        return null;
+    }
+}
+
+/**
+ * Fetches characters from JanitorAI API based on specified search criteria.
+ * @param {Object} options - The search options object.
+ * @param {string} [options.searchTerm] - A search term to filter characters by name/description.
+ * @param {Array<string>} [options.includeTags] - A list of tags that the returned characters should include.
+ * @param {Array<string>} [options.excludeTags] - A list of tags that the returned characters should not include.
+ * @param {boolean} [options.nsfw] - Whether or not to include NSFW characters. Defaults to the extension settings.
+ * @param {string} [options.sort] - The criteria by which to sort the characters. Default is by download count.
+ * @param {string} [options.author] - A creator id, to list only that creator's characters.
+ * @param {number} [options.page=1] - The page number for pagination. Defaults to 1.
+ * @returns {Promise<{characters: Array, total: number|null}>} - Resolves with the character objects that match the search criteria and the number of matches, if reported.
+ */
+async function fetchCharactersFromJanitor({ searchTerm, includeTags, excludeTags, nsfw, sort, page=1, author }) {
+    const mode = nsfw ? 'nsfw' : 'sfw';
+    const search = searchTerm ? encodeURIComponent(searchTerm) : '';
+    // Only add tagIds if there are valid (non-empty) tags, tags carried over from other providers arrive by name
+    const validTags = await resolveJanitorTagIds(includeTags ? includeTags.map(tag => tag.trim()).filter(tag => tag.length > 0) : []);
+    const tagIds = validTags.length > 0 ? validTags.map(tag => `tag_id[]=${encodeURIComponent(tag)}`).join('&') : '';
+    
+    // Map sort options to JanitorAI format
+    const sortMap = {
+        'download_count': 'popular',
+        'rating': 'popular', // JanitorAI doesn't have rating sort, use popular
+        'created_at': 'latest',
+        'name': 'popular', // JanitorAI doesn't have name sort, use popular
+        'default': 'popular',
+        'popular': 'popular',
+        'latest': 'latest',
+        'trending': 'trending',
+        'trending24': 'trending24',
+        'relevance': 'relevance'
+    };
+    const janitorSort = sortMap[sort] || 'popular';
+    
+    // A creator's characters are listed on their profile
+    const endpoint = author ? `${JANITOR_PROFILE_ENDPOINT}/${encodeURIComponent(author)}/characters` : JANITOR_API_ENDPOINT;
+    let url = `${endpoint}?page=${page}&mode=${mode}&sort=${janitorSort}`;
+    if (search) url += `&search=${search}`;
+    if (tagIds) url += `&${tagIds}`;
+    
+    try {
+        const data = await fetchJsonViaCrawl(url);
+        if (!data) {
+            return [];
+        }
+        
+        // The parsed data should have the same structure as JanitorAI
+        if (data.data && Array.isArray(data.data)) {
+            const characters = data.data.map(char => {
+                // Extract tags from the tags array (which contains objects with name property)
+                const tagObjects = char.tags || [];
+
+                // Extract tag texts, names, and values directly
+                const tagTexts = tagObjects.map(tag => tag.name || tag.slug || `Tag ${tag.id}`).filter(Boolean);
+                const tagNames = tagObjects.map(tag => tag.name || tag.slug || `Tag ${tag.id}`).filter(Boolean);
+                const tagValues = tagObjects.map(tag => tag.id ? tag.id.toString() : (tag.name || tag.slug || `Tag ${tag.id}`)).filter(Boolean);
+                
+                // Add custom tag IDs to values
+                // Create avatar URL - JanitorAI uses relative paths
+                const avatarUrl = char.avatar ? `https://ella.janitorai.com/bot-avatars/${char.avatar}?width=400` : '';
+                
+                return {
+                    url: avatarUrl,
+                    description: stripHtml(char.description) || 'No description available',
+                    name: char.name || 'Unknown Character',
+                    fullPath: char.id || '',
+                    fullUrl: char.id ? `https://janitorai.com/characters/${char.id}` : '',
+                    author: char.creator_name || 'Unknown',
+                    authorId: char.creator_id || author || '',
+                    authorUrl: char.creator_id ? `https://janitorai.com/profiles/${char.creator_id}` : '',
+                    starCount: 0, // JanitorAI doesn't have star count
+                    rating: 0, // JanitorAI doesn't have rating
+                    ratingCount: 0,
+                    nTokens: char.total_tokens || 0,
+                    forksCount: 0, // JanitorAI doesn't have forks
+                    nChats: char.stats ? char.stats.chat || 0 : 0,
+                    nMessages: char.stats ? char.stats.message || 0 : 0,
+                    createdAt: char.created_at || '',
+                    lastActivityAt: char.updated_at || '',
+                    avatar_url: avatarUrl,
+                    max_res_url: avatarUrl,
+                    verified: char.creator_verified || false,
+                    recommended: false, // JanitorAI doesn't have recommended flag
+                    nsfw_image: char.is_image_nsfw || false,
+                    hasGallery: false, // JanitorAI doesn't have gallery info
+                    downloadable: char.showdefinition !== false, // Hidden definitions cannot be imported
+                    // Store original texts for hover display
+                    originalName: char.name || 'Unknown Character',
+                    originalDescription: char.description || 'No description available',
+                    originalTags: [...tagTexts, ...tagNames, ...tagValues] // 原文, 译文, 值
+                };
+            });
+
+            // Apply translations using the common function
+            return { characters: await applyTranslationsToCharacters(characters), total: data.total ?? null };
+        }
+        
+        return [];
+    } catch (error) {
+        console.error('Error fetching from JanitorAI:', error);
+        return [];
+    }
+}
+
+/**
+ * Fetches a JanitorAI character definition through the crawl API and builds a character card PNG from it.
+ * @param {Object} character - The normalized character object.
+ * @returns {Promise<Blob>} - The card PNG. Rejects if the definition is unavailable.
+ */
+async function fetchJanitorCard(character) {
+    const response = await fetchJsonViaCrawl(`${JANITOR_API_ENDPOINT}/${character.fullPath}`);
+    if (!response) {
+        throw new Error('Could not fetch the character definition');
+    }
+
+    const char = response.data && !Array.isArray(response.data) ? response.data : response;
+    if (!char.personality && !char.first_message) {
+        throw new Error('The creator has hidden this character\'s definition');
+    }
+
+    const definition = {
+        name: char.name || character.originalName,
+        // JanitorAI's "personality" holds the full definition, its "description" is the public bio
+        description: char.personality || '',
+        scenario: char.scenario || '',
+        first_mes: char.first_message || '',
+        mes_example: char.example_dialogs || '',
+        creator_notes: stripHtml(char.description),
+        alternate_greetings: Array.isArray(char.first_messages) ? char.first_messages.slice(1) : [],
+        tags: (char.tags || []).map(tag => tag.name || tag.slug).filter(Boolean),
+        creator: char.creator_name || character.author
+    };
+
+    // Request the full-size avatar rather than the search thumbnail
+    const avatarUrl = char.avatar ? `https://ella.janitorai.com/bot-avatars/${char.avatar}` : character.max_res_url;
+    return await buildCardFromDefinition(definition, avatarUrl);
+}
+
+/**
+ * Suggests JanitorAI tags matching a query. Janitor searches by numeric tag id, the full tag list is
+ * loaded once through the crawl API and searched locally.
+ * @param {string} query - The lowercased text typed in the tag picker.
+ * @returns {Promise<Array<{id: string, name: string, count: number|null}>>} - The matching tags.
+ */
+async function fetchJanitorTags(query) {
+    if (!janitorTagList) {
+        janitorTagList = fetchJsonViaCrawl(JANITOR_TAGS_ENDPOINT).then(data => {
+            const tags = Array.isArray(data) ? data : (data?.data || data?.tags);
+            if (!Array.isArray(tags)) {
+                throw new Error('Could not load the JanitorAI tag list');
+            }
+            return tags.filter(tag => tag.id && (tag.name || tag.slug))
+                .map(tag => ({ id: String(tag.id), name: tag.name || tag.slug, count: tag.count ?? tag.characters_count ?? null }));
+        });
+        janitorTagList.catch(() => janitorTagList = null);
+    }
+    return (await janitorTagList).filter(tag => tag.name.toLowerCase().includes(query));
+}
+
+/**
+ * Resolves AICC category slugs or names to their WordPress category ids.
+ * @param {Array<string>} tags - Category slugs (as found in result tags) or readable names.
+ * @returns {Promise<Array<number>>} - The ids of the categories that could be resolved.
+ */
+async function resolveAiccCategoryIds(tags) {
+    const validTags = (tags || []).map(tag => tag.trim()).filter(tag => tag.length > 0);
+    const ids = [];
+
+    for (const tag of validTags) {
+        const key = tag.toLowerCase();
+        if (!aiccCategoryCache.has(key)) {
+            try {
+                // Try the slug first, then fall back to a name search
+                let response = await fetch(`https://corsproxy.io/?${encodeURIComponent(`${AICC_REST_ENDPOINT}/categories?slug=${encodeURIComponent(key)}&_fields=id`)}`);
+                let categories = response.ok ? await response.json() : [];
+                if (!Array.isArray(categories) || categories.length === 0) {
+                    response = await fetch(`https://corsproxy.io/?${encodeURIComponent(`${AICC_REST_ENDPOINT}/categories?search=${encodeURIComponent(tag)}&_fields=id,name`)}`);
+                    categories = response.ok ? await response.json() : [];
+                    categories = Array.isArray(categories) ? categories.filter(category => stripHtml(category.name).toLowerCase() === key) : [];
+                }
+                aiccCategoryCache.set(key, categories.length > 0 ? categories[0].id : null);
+            } catch (error) {
+                console.error('Error resolving AICC category:', tag, error);
+                continue;
+            }
+        }
+
+        const id = aiccCategoryCache.get(key);
+        if (id) {
+            ids.push(id);
+        } else {
+            console.warn('Unknown AICC category:', tag);
+        }
+    }
+
+    return ids;
+}
+
+/**
+ * Resolves an AICC author slug, as found in author page URLs, to the author's WordPress user id.
+ * @param {string} slug - The author slug.
+ * @returns {Promise<number|null>} - The user id, or null if the author could not be found.
+ */
+async function resolveAiccAuthorId(slug) {
+    const key = slug.trim().toLowerCase();
+    if (!aiccAuthorCache.has(key)) {
+        try {
+            const response = await fetch(`https://corsproxy.io/?${encodeURIComponent(`${AICC_REST_ENDPOINT}/users?slug=${encodeURIComponent(key)}&_fields=id`)}`);
+            const users = response.ok ? await response.json() : [];
+            aiccAuthorCache.set(key, Array.isArray(users) && users.length > 0 ? users[0].id : null);
+        } catch (error) {
+            console.error('Error resolving AICC author:', slug, error);
+            return null;
+        }
+    }
+
+    const id = aiccAuthorCache.get(key);
+    if (!id) {
+        console.warn('Unknown AICC author:', slug);
+    }
+    return id;
+}
+
+/**
+ * Looks up the ids of one page of AICC posts matching a query through the WordPress REST API. The
+ * ids are then rendered by `load_more_posts`. Results are cached per query and page.
+ * @param {Object} options - The search options object.
+ * @param {string} [options.searchTerm] - A search term to filter characters by name/description.
+ * @param {Array<string>} [options.includeTags] - Categories the characters should be in.
+ * @param {Array<string>} [options.excludeTags] - Categories the characters should not be in.
+ * @param {string} [options.sort] - An AICC sort value such as "date:desc".
+ * @param {string} [options.author] - An author slug, to list only that author's posts.
+ * @param {number} [options.page=1] - The page, of `findCount` posts.
+ * @returns {Promise<{postIds: Array<number>, total: number|null}|null>} - The post ids of the page and the number of matching posts if reported, or null if the lookup failed.
+ */
+async function fetchAiccPostIds({ searchTerm, includeTags, excludeTags, sort, author, page = 1 }) {
+    const [includeIds, excludeIds] = await Promise.all([resolveAiccCategoryIds(includeTags), resolveAiccCategoryIds(excludeTags)]);
+    const authorId = author ? await resolveAiccAuthorId(author) : null;
+    if (author && !authorId) {
+        return null;
+    }
+
+    // Relevance only exists for text searches
+    let [orderby, order] = (sort || (searchTerm ? 'relevance:desc' : 'date:desc')).split(':');
+    if (orderby === 'relevance' && !searchTerm) {
+        orderby = 'date';
+    }
+
+    const perPage = Math.min(extension_settings.chub.findCount, AICC_MAX_POST_IDS);
+    const params = new URLSearchParams({ per_page: perPage, page, _fields: 'id', orderby, order: order || 'desc' });
+    if (searchTerm) params.set('search', searchTerm);
+    if (includeIds.length > 0) params.set('categories', includeIds.join(','));
+    if (excludeIds.length > 0) params.set('categories_exclude', excludeIds.join(','));
+    if (authorId) params.set('author', authorId);
+
+    const url = `${AICC_REST_ENDPOINT}/posts?${params}`;
+    if (aiccPostIdCache.has(url)) {
+        return aiccPostIdCache.get(url);
+    }
+
+    try {
+        const response = await fetch(`https://corsproxy.io/?${encodeURIComponent(url)}`);
+        if (!response.ok) {
+            console.error('AICC search error:', response.status, response.statusText);
+            return null;
+        }
+        const posts = await response.json();
+        const postIds = Array.isArray(posts) ? posts.map(post => post.id) : [];
+        // The proxy may not pass the header on, the total is unknown then
+        const total = parseInt(response.headers.get('X-WP-Total'));
+        const result = { postIds, total: Number.isFinite(total) ? total : null };
+        aiccPostIdCache.set(url, result);
+        return result;
+    } catch (error) {
+        console.error('Error searching AICC:', error);
+        return null;
+    }
+}
+
+/**
+ * Resolves JanitorAI tags given by name to the numeric ids its search expects. Ids are kept as they are.
+ * @param {Array<string>} tags - Tag ids or names.
+ * @returns {Promise<Array<string>>} - The tag ids that could be resolved.
+ */
+async function resolveJanitorTagIds(tags) {
+    const ids = [];
+    for (const tag of tags) {
+        if (/^\d+$/.test(tag)) {
+            ids.push(tag);
+            continue;
+        }
+        const key = canonicalTagKey(tag);
+        const known = lookupTagId('janitor', key);
+        const match = known ? null : (await fetchJanitorTags(tag.toLowerCase()).catch(() => [])).find(entry => canonicalTagKey(entry.name) === key);
+        if (match) learnTag('janitor', match.id, match.name);
+        if (known || match) {
+            ids.push(known || match.id);
+        } else if (!reportedUnknownTags.has(`janitor:${key}`)) {
+            reportedUnknownTags.add(`janitor:${key}`);
+            console.warn('Unknown JanitorAI tag:', tag);
+            toastr.warning(`JanitorAI has no tag "${tag}", it was left out of the search`);
+        }
+    }
+    return ids;
+}
+
+/**
+ * Suggests AICC categories matching a query, most used first. AICC searches by category slug.
+ * @param {string} query - The lowercased text typed in the tag picker.
+ * @returns {Promise<Array<{id: string, name: string, count: number|null}>>} - The matching categories.
+ */
+async function fetchAiccTags(query) {
+    const url = `${AICC_REST_ENDPOINT}/categories?search=${encodeURIComponent(query)}&orderby=count&order=desc&per_page=${TAG_SUGGESTION_LIMIT}&_fields=id,name,slug,count`;
+    const response = await fetch(`https://corsproxy.io/?${encodeURIComponent(url)}`);
+    if (!response.ok) {
+        throw new Error(`Failed to load AICC categories: ${response.status}`);
+    }
+    const categories = await response.json();
+    return (Array.isArray(categories) ? categories : []).map(category => {
+        aiccCategoryCache.set(category.slug.toLowerCase(), category.id);
+        return { id: category.slug, name: stripHtml(category.name), count: category.count ?? null };
+    });
+}
+
+/**
+ * Fetches characters from AICC API based on specified search criteria.
+ * Without a search term, tags or sort order the site's featured feed is shown.
+ * @param {Object} options - The search options object.
+ * @param {string} [options.searchTerm] - A search term to filter characters by name/description.
+ * @param {Array<string>} [options.includeTags] - Categories (slugs or names) the characters should be in.
+ * @param {Array<string>} [options.excludeTags] - Categories (slugs or names) the characters should not be in.
+ * @param {boolean} [options.nsfw] - Whether or not to include NSFW characters.
+ * @param {string} [options.sort] - The criteria by which to sort the characters, e.g. "date:desc".
+ * @param {string} [options.author] - An author slug, to list only that author's characters.
+ * @param {number} [options.page=1] - The page number for pagination, of `findCount` characters. Defaults to 1.
+ * @returns {Promise<{characters: Array, total: number|null}>} - Resolves with the character objects that match the search criteria and the number of matches, if reported.
+ */
+async function fetchCharactersFromAICC({ searchTerm, includeTags, excludeTags, nsfw, sort, page=1, author }) {
+    const hasTags = [...(includeTags || []), ...(excludeTags || [])].some(tag => tag && tag.trim().length > 0);
+    const pageSize = extension_settings.chub.findCount;
+    let postIds = AICC_FEATURED_POST_IDS.slice((page - 1) * pageSize, page * pageSize);
+    let total = AICC_FEATURED_POST_IDS.length;
+
+    if (searchTerm || hasTags || author || (sort && sort !== 'default')) {
+        const lookup = await fetchAiccPostIds({ searchTerm, includeTags, excludeTags, sort: sort === 'default' ? undefined : sort, author, page });
+        if (!lookup) {
+            return [];
+        }
+        ({ postIds, total } = lookup);
+    }
+    if (postIds.length === 0) {
+        return { characters: [], total };
+    }
+
+    try {
+        // load_more_posts pages through the given ids with its own page size, request pages until every id is rendered
+        const characterCards = [];
+        for (let serverPage = 1; characterCards.length < postIds.length; serverPage++) {
+            const html = await fetchAiccPostsHtml(postIds, serverPage);
+            const cards = html ? new DOMParser().parseFromString(html, 'text/html').querySelectorAll('.col-md-4.mb-3') : [];
+            if (cards.length === 0) break;
+            characterCards.push(...cards);
+        }
+        if (characterCards.length === 0) {
+            return { characters: [], total };
+        }
+        
+        const characters = Array.from(characterCards).map(card => {
+            // Extract character information from HTML
+            const titleElement = card.querySelector('h3.aicc-card-title');
+            const name = titleElement ? titleElement.textContent.trim() : 'Unknown Character';
+            
+            const authorElement = card.querySelector('.acg-author-name');
+            const authorName = authorElement ? authorElement.textContent.trim().replace('@', '') : 'Unknown';
+            // Author pages are keyed by slug, which can differ from the displayed name
+            const authorLink = card.querySelector('a[href*="/author/"]');
+            const authorSlug = authorLink?.getAttribute('href').match(/\/author\/([^/?#]+)/)?.[1] || authorName;
+            
+            // Filter out sponsored content (ads)
+            if (authorName.includes('赞助内容') || authorName.includes('Sponsored') || 
+                name.toLowerCase().includes('crushon') || name.toLowerCase().includes('sponsored') ||
+                authorName.toLowerCase().includes('crushon') || authorName.toLowerCase().includes('sponsored')) {
+                return null; // Skip this card
+            }
+            
+            const imgElement = card.querySelector('img.acg-card-img');
+            const avatarUrl = imgElement ? imgElement.src : '';
+            
+            const descriptionElement = card.querySelector('.post-card-excerpt p');
+            const description = descriptionElement ? descriptionElement.textContent.trim() : 'No description available';
+            
+            // Extract tags, keeping the category slug from the link as the search value
+            const tagElements = Array.from(card.querySelectorAll('.tagsCatContainer a')).filter(tag => tag.textContent.trim());
+            const tags = tagElements.map(tag => tag.textContent.trim());
+            const tagValues = tagElements.map(tag => {
+                const slugMatch = (tag.getAttribute('href') || '').match(/\/category\/(?:[^/]+\/)*([^/?#]+)\/?(?:[?#].*)?$/);
+                return slugMatch ? decodeURIComponent(slugMatch[1]) : tag.textContent.trim();
+            });
+            
+            // Extract rating (count filled stars)
+            const starElements = card.querySelectorAll('.ccr-star.filled');
+            const rating = starElements.length;
+            
+            // Extract download count
+            const downloadElement = card.querySelector('.download-count');
+            const downloadCount = downloadElement ? parseInt(downloadElement.textContent.match(/\d+/)?.[0] || '0') : 0;
+            
+            // Extract upload date
+            const uploadElement = card.querySelector('.uploadDateCard');
+            const uploadDate = uploadElement ? uploadElement.textContent.replace('Uploaded:', '').trim() : '';
+            
+            // Extract content rating
+            const contentRatingElement = card.querySelector('.content-rating-sfw, .content-rating-nsfw');
+            const isNsfw = contentRatingElement ? contentRatingElement.classList.contains('content-rating-nsfw') : false;
+            
+            // Extract character link
+            const linkElement = card.querySelector('h3.aicc-card-title')?.closest('a');
+            const characterUrl = linkElement ? linkElement.href : '';
+            
+            // Extract character ID from URL
+            const characterId = characterUrl ? characterUrl.split('/').pop() : '';
+            
+            return {
+                url: avatarUrl,
+                description: description,
+                name: name,
+                fullPath: characterId,
+                fullUrl: characterUrl,
+                author: authorName,
+                authorId: decodeURIComponent(authorSlug),
+                authorUrl: `https://aicharactercards.com/author/${authorSlug}/`,
+                starCount: downloadCount,
+                rating: rating,
+                ratingCount: 0, // Not available in this API
+                nTokens: 0, // Not available in this API
+                forksCount: 0, // Not available in this API
+                nChats: 0, // Not available in this API
+                nMessages: 0, // Not available in this API
+                createdAt: uploadDate,
+                lastActivityAt: uploadDate,
+                avatar_url: avatarUrl,
+                max_res_url: avatarUrl,
+                verified: false, // Not available in this API
+                recommended: false, // Not available in this API
+                nsfw_image: isNsfw,
+                hasGallery: false, // Not available in this API
+                // Store original texts for hover display
+                originalName: name,
+                originalDescription: description,
+                originalTags: [...tags, ...tags, ...tagValues] // 原文, 译文, 值 (category slug)
+            };
+        }).filter(character => character !== null) // Remove null entries (filtered ads)
+            .filter(character => nsfw || !character.nsfw_image); // The feed mixes ratings, hide NSFW unless asked for
+        
+        // Apply translations using the common function
+        return { characters: await applyTranslationsToCharacters(characters), total };
+        
+    } catch (error) {
+        console.error('Error fetching from AICC API:', error);
+        return [];
+    }
+}
+
+/**
+ * Renders AICC posts through the site's `load_more_posts` action.
+ * @param {Array<number>} postIds - The ids of the posts to render.
+ * @param {number} page - The page of the action's own pagination over the ids.
+ * @returns {Promise<string|null>} - The cards' HTML, or null if the request failed.
+ */
+async function fetchAiccPostsHtml(postIds, page) {
+    // Use corsproxy.io to avoid CORS issues
+    const proxyUrl = `https://corsproxy.io/?${encodeURIComponent(AICC_API_ENDPOINT)}`;
+    
+    // Create form data
+    const formData = new FormData();
+    formData.append('action', 'load_more_posts');
+    formData.append('page', page.toString());
+    formData.append('instance_id', '2');
+    
+    // Add all post_ids
+    postIds.forEach(id => {
+        formData.append('post_ids[]', id.toString());
+    });
+    
+    const response = await fetch(proxyUrl, {
+        method: 'POST',
+        headers: {
+            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+            'Referer': 'https://aicharactercards.com/'
+        },
+        body: formData
+    });
+    
+    if (!response.ok) {
+        console.error('AICC API error:', response.status, response.statusText);
+        return null;
+    }
+    
+    const data = await response.json();
+    console.log('AICC API response:', data);
+    
+    if (!data.success || !data.data || !data.data.html) {
+        console.error('AICC API returned no data');
+        return null;
+    }
+    return data.data.html;
+}
+
+/**
+ * Downloads an AICC character card by finding the PNG or JSON card download on its character page.
+ * A JSON card is turned into a PNG with the avatar from the search result.
+ * @param {Object} character - The normalized character object.
+ * @returns {Promise<Blob>} - The card PNG. Rejects if no card download was found.
+ */
+async function fetchAiccCard(character) {
+    const pageResponse = await fetch(`https://corsproxy.io/?${encodeURIComponent(character.fullUrl)}`);
+    if (!pageResponse.ok) {
+        throw new Error(`Failed to load character page: ${pageResponse.status}`);
+    }
+
+    const doc = new DOMParser().parseFromString(await pageResponse.text(), 'text/html');
+    const links = Array.from(doc.querySelectorAll('a[href]')).map(link => new URL(link.getAttribute('href'), character.fullUrl).href);
+    // Prefer the PNG, it carries the avatar as well as the card data
+    const pngUrl = links.find(href => /\.png(?:[?#]|$)/i.test(href) && /wp-content\/uploads|download/i.test(href));
+    const jsonUrl = links.find(href => /\.json(?:[?#]|$)/i.test(href));
+    const cardUrl = pngUrl || jsonUrl;
+
+    if (!cardUrl) {
+        throw new Error('No card download found on the character page');
+    }
+
+    const cardBlob = await fetchCardFromUrl(`https://corsproxy.io/?${encodeURIComponent(cardUrl)}`);
+    if (pngUrl) {
+        return cardBlob;
+    }
+
+    const definition = normalizeCardDefinition(JSON.parse(await cardBlob.text()));
+    return await buildCardFromDefinition(definition, character.max_res_url);
+}
+
+/**
+ * Fetches characters from Character Tavern API based on specified search criteria.
+ * @param {Object} options - The search options object.
+ * @param {string} [options.searchTerm] - A search term to filter characters by name/description.
+ * @param {Array<string>} [options.includeTags] - A list of tags that the returned characters should include.
+ * @param {Array<string>} [options.excludeTags] - A list of tags that the returned characters should not include.
+ * @param {boolean} [options.nsfw] - Whether or not to include NSFW characters. Defaults to the extension settings.
+ * @param {string} [options.sort] - The criteria by which to sort the characters. Default is by likes.
+ * @param {string} [options.author] - An author name, to list only that author's characters.
+ * @param {number} [options.page=1] - The page number for pagination. Defaults to 1.
+ * @returns {Promise<{characters: Array, total: number|null}>} - Resolves with the character objects that match the search criteria and the number of matches, if reported.
+ */
+async function fetchCharactersFromCharacterTavern({ searchTerm, includeTags, excludeTags, nsfw, sort, page=1, author }) {
+    // Get authorization token
+    const authToken = await getCharacterTavernAuth();
+    if (!authToken) {
+        console.error('Failed to get Character Tavern authorization token');
+        return [];
+    }
+    
+    // Build filters
+    const filters = [];
+    if (!nsfw) {
+        filters.push("isNSFW = false");
+    }
+    
+    // Add contentWarnings IS EMPTY filter (based on second parameter standard)
+    filters.push("contentWarnings IS EMPTY");
+
+    if (author) {
+        filters.push(`author = '${author.replace(/'/g, "\\'")}'`);
+    }
+    
+    if (includeTags && includeTags.length > 0) {
+        // Filter out empty tags
+        const validIncludeTags = includeTags.filter(tag => tag && tag.trim().length > 0);
+        if (validIncludeTags.length > 0) {
+            // Add each tag as a separate filter condition
+            validIncludeTags.forEach(tag => {
+                filters.push(`tags = '${tag.trim()}'`);
+            });
+        }
+    }
+    if (excludeTags && excludeTags.length > 0) {
+        // Filter out empty tags
+        const validExcludeTags = excludeTags.filter(tag => tag && tag.trim().length > 0);
+        if (validExcludeTags.length > 0) {
+            // Add each tag as a separate filter condition
+            validExcludeTags.forEach(tag => {
+                filters.push(`tags != '${tag.trim()}'`);
+            });
+        }
+    }
+    
+    // Default sort
+    const sortOptions = [
+        "likes:desc",
+        "messages:desc", 
+        "downloads:desc",
+        "createdAt:desc"
+    ];
+    
+    // Override with user selection if provided
+    if (sort && sort !== 'default') {
+        sortOptions[0] = sort;
+    }
+    
+    const requestBody = {
+        q: searchTerm || "",
+        hitsPerPage: extension_settings.chub.findCount,
+        sort: sortOptions,
+        filter: filters,
+        page: parseInt(page) || 1  // Ensure page is a number, not string
+    };
+    
+    try {
+        const response = await fetch(CHARACTER_TAVERN_SEARCH_ENDPOINT, {
+            method: 'POST',
+            headers: {
+                'accept': '*/*',
+                'accept-encoding': 'identity',
+                'accept-language': 'zh-CN,zh;q=0.9,en;q=0.8',
+                'authorization': `Bearer ${authToken}`,
+                'content-type': 'application/json',
+                'origin': 'https://character-tavern.com',
+                'referer': 'https://character-tavern.com/',
+                'user-agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/140.0.0.0 Safari/537.36',
+                'x-meilisearch-client': 'Meilisearch JavaScript (v0.52.0)'
+            },
+            body: JSON.stringify(requestBody)
+        });
+        
+        if (!response.ok) {
+            console.error('Character Tavern API error:', response.status, response.statusText);
+            // If 401/403, clear cached auth and retry once
+            if (response.status === 401 || response.status === 403) {
+                console.log('Auth token expired, clearing cache and retrying...');
+                characterTavernAuth = null;
+                return await fetchCharactersFromCharacterTavern({ searchTerm, includeTags, excludeTags, nsfw, sort, page, author });
+            }
+            return [];
+        }
+        
+        const data = await response.json();
+        console.log('Character Tavern API response:', data);
+        
+        if (!data.hits || !Array.isArray(data.hits)) {
+            console.error('Character Tavern API returned no hits');
+            return [];
+        }
+        
+        // Convert Character Tavern format to our standard format
+        const characters = data.hits.map(char => {
+            return {
+                url: char.avatar_url || (char.path ? `https://cards.character-tavern.com/cdn-cgi/image/fit=scale-down,format=auto,width=600/${char.path}.png` : ''),
+                description: char.pageDescription || char.tagline || 'No description available',
+                name: char.name || 'Unknown Character',
+                fullPath: char.path || '',
+                fullUrl: char.path ? `https://character-tavern.com/character/${char.path}` : '',
+                cardDataUrl: char.path ? `https://corsproxy.io/?${encodeURIComponent(`https://cards.character-tavern.com/${char.path}.png?action=download`)}` : '',
+                author: char.author || 'Unknown',
+                authorId: char.author || '',
+                authorUrl: char.author ? `https://character-tavern.com/author/${char.author}` : '',
+                starCount: char.likes || 0,
+                rating: 0, // Character Tavern doesn't have rating
+                ratingCount: 0,
+                nTokens: 0, // Not available in this API
+                forksCount: 0, // Not available in this API
+                nChats: char.messages || 0,
+                nMessages: char.messages || 0,
+                createdAt: char.createdAt ? new Date(char.createdAt * 1000).toISOString() : '',
+                lastActivityAt: char.lastUpdateAt ? new Date(char.lastUpdateAt * 1000).toISOString() : '',
+                avatar_url: char.avatar_url || (char.path ? `https://cards.character-tavern.com/cdn-cgi/image/fit=scale-down,format=auto,width=600/${char.path}.png` : ''),
+                max_res_url: char.avatar_url || (char.path ? `https://cards.character-tavern.com/cdn-cgi/image/fit=scale-down,format=auto,width=600/${char.path}.png` : ''),
+                verified: false, // Not available in this API
+                recommended: false, // Not available in this API
+                nsfw_image: char.isNSFW || false,
+                hasGallery: false, // Not available in this API
+                downloads: char.downloads || 0,
+                views: char.views || 0,
+                // Store original texts for hover display
+                originalName: char.name || 'Unknown Character',
+                originalDescription: char.pageDescription || char.tagline || 'No description available',
+                originalTags: char.tags ? [...char.tags, ...char.tags, ...char.tags] : [] // 原文, 译文, 值 (all same for Character Tavern)
+            };
+        });
+        
+        // Apply translations using the common function
+        return { characters: await applyTranslationsToCharacters(characters), total: data.totalHits ?? data.estimatedTotalHits ?? null };
+        
+    } catch (error) {
+        console.error('Error fetching from Character Tavern API:', error);
+        return [];
+    }
+}
+
+/**
+ * Suggests Character Tavern tags matching a query, with the number of characters using them,
+ * through the search index's facet search.
+ * @param {string} query - The lowercased text typed in the tag picker.
+ * @returns {Promise<Array<{id: string, name: string, count: number|null}>>} - The matching tags.
+ */
+async function fetchCharacterTavernTags(query) {
+    const authToken = await getCharacterTavernAuth();
+    if (!authToken) {
+        throw new Error('Failed to get Character Tavern authorization token');
+    }
+
+    const response = await fetch(CHARACTER_TAVERN_SEARCH_ENDPOINT.replace(/\/search$/, '/facet-search'), {
+        method: 'POST',
+        headers: {
+            'authorization': `Bearer ${authToken}`,
+            'content-type': 'application/json',
+            'origin': 'https://character-tavern.com',
+            'referer': 'https://character-tavern.com/'
+        },
+        body: JSON.stringify({ facetName: 'tags', facetQuery: query })
+    });
+    if (!response.ok) {
+        throw new Error(`Failed to load Character Tavern tags: ${response.status}`);
+    }
+    const data = await response.json();
+    return (data.facetHits || []).map(hit => ({ id: hit.value, name: hit.value, count: hit.count ?? null }));
+}
+
+/**
+ * Suggests CHub tags matching a query, with the number of public projects using them. CHub
+ * searches by tag name; the tag list is loaded once and searched locally.
+ * @param {string} query - The lowercased text typed in the tag picker.
+ * @returns {Promise<Array<{id: string, name: string, count: number|null}>>} - The matching tags.
+ */
+async function fetchChubTags(query) {
+    if (!chubTagList) {
+        chubTagList = fetch(CHUB_TAGS_ENDPOINT).then(async response => {
+            if (!response.ok) {
+                throw new Error(`Failed to load CHub tags: ${response.status}`);
+            }
+            const data = await response.json();
+            const tags = Array.isArray(data) ? data : (data.tags || data.data);
+            if (!Array.isArray(tags)) {
+                throw new Error('Could not read the CHub tag list');
+            }
+            return tags.filter(tag => tag && tag.name)
+                .map(tag => ({ id: tag.name, name: tag.name, count: tag.non_private_projects_count ?? tag.count ?? null }));
+        });
+        chubTagList.catch(() => chubTagList = null);
+    }
+    return (await chubTagList).filter(tag => tag.name.toLowerCase().includes(query));
+}
+
+/**
+ * Fetches characters from CHub based on specified search criteria.
+ * @param {Object} options - The search options object.
+ * @param {string} [options.searchTerm] - A search term to filter characters by name/description.
+ * @param {Array<string>} [options.includeTags] - A list of tags that the returned characters should include.
+ * @param {Array<string>} [options.excludeTags] - A list of tags that the returned characters should not include.
+ * @param {boolean} [options.nsfw] - Whether or not to include NSFW characters. Defaults to the extension settings.
+ * @param {string} [options.sort] - The criteria by which to sort the characters. Default is by download count.
+ * @param {string} [options.author] - A username, to list only that user's uploads.
+ * @param {number} [options.page=1] - The page number for pagination. Defaults to 1.
+ * @param {string} [options.contentType="characters"] - "characters", "lorebooks" or "presets".
+ * @returns {Promise<{characters: Array, total: number|null}>} - Resolves with the character objects that match the search criteria and the number of matches, if reported.
+ */
+async function fetchCharactersFromChub({ searchTerm, includeTags, excludeTags, nsfw, sort, page=1, contentType = 'characters', author }) {
+    let first = extension_settings.chub.findCount;
+    const filters = { ...defaultSettings.chubFilters, ...extension_settings.chub.chubFilters };
+    nsfw = nsfw || extension_settings.chub.nsfw;  // Default to extension settings if not provided
+    const lore = filters.lore;
+    
+    // Translate Chinese search terms to English
+    let processedSearchTerm = searchTerm;
+    if (searchTerm && containsChinese(searchTerm) && extension_settings.chub.enableTranslation) {
+        console.log('Detected Chinese in search term, translating...');
+        processedSearchTerm = await translateToEnglish(searchTerm);
+        console.log(`Translated "${searchTerm}" to "${processedSearchTerm}"`);
+    }
+    
+    searchTerm = processedSearchTerm ? `search=${encodeURIComponent(processedSearchTerm)}&` : '';
+    sort = sort || 'default';
+
+    // Construct the URL with the search parameters, if any
+    // 
+    let url = `${API_ENDPOINT_SEARCH}?excludetopics&first=${first}&page=${page}&namespace=${contentType === 'characters' ? '*' : contentType}&${searchTerm}include_forks=${filters.includeForks}&nsfw=${nsfw}&nsfw_only=false&require_custom_prompt=${filters.requireCustomPrompt}&require_example_dialogues=${filters.requireExampleDialogues}&require_images=${filters.requireImages}&require_expressions=${filters.requireExpressions}&nsfl=${filters.nsfl}&asc=${filters.asc}&min_ai_rating=${filters.minAiRating}&min_tokens=${filters.minTokens}&max_tokens=${filters.maxTokens}&chub=true&require_lore=${lore === 'lore'}&exclude_mine=true&require_lore_embedded=${lore === 'embedded'}&require_lore_linked=${lore === 'linked'}&sort=${sort}&min_tags=${filters.minTags}&topics&inclusive_or=${filters.inclusiveOr}&recommended_verified=${filters.recommendedVerified}&require_alternate_greetings=${filters.requireAlternateGreetings}&count=true`;
+    if (author) {
+        url += `&username=${encodeURIComponent(author)}`;
+    }
+
+    //truncate include and exclude tags to 100 characters
+    includeTags = includeTags.filter(tag => tag.length > 0);
+    if (includeTags && includeTags.length > 0) {
+        //includeTags = makeTagPermutations(includeTags);
+        includeTags = includeTags.join(',').slice(0, 100);
+        url += `&topics=${encodeURIComponent(includeTags)}`;
+    }
+    //remove tags that contain no characters
+    excludeTags = excludeTags.filter(tag => tag.length > 0);
+    if (excludeTags && excludeTags.length > 0) {
+        //excludeTags = makeTagPermutations(excludeTags);
+        excludeTags = excludeTags.join(',').slice(0, 100);
+        url += `&excludetopics=${encodeURIComponent(excludeTags)}`;
+    }
+
+    let searchResponse = await fetch(url);
+
+    let searchData = await searchResponse.json();
+
+    // Handle new response structure with data.nodes
+    const nodes = searchData.data ? searchData.data.nodes : searchData.nodes;
+    
+    const total = searchData.count ?? searchData.data?.count ?? null;
+    if (!nodes || nodes.length === 0) {
+        return { characters: [], total };
+    }
+    // First, collect all text that needs translation
+    const textsToTranslate = new Set();
+    const textMapping = new Map(); // Map original text to its usage info
+    
+    nodes.forEach((node, i) => {
+        // Collect names
+        if (node.name && !containsChinese(node.name)) {
+            textsToTranslate.add(node.name);
+            textMapping.set(node.name, { type: 'name', index: i });
+        }
+        
+        // Collect descriptions
+        const description = node.tagline || node.description || "Description here...";
+        if (description && !containsChinese(description)) {
+            textsToTranslate.add(description);
+            textMapping.set(description, { type: 'description', index: i });
+        }
+        
+        // Collect tags
+        if (node.topics && Array.isArray(node.topics)) {
+            node.topics.forEach(tag => {
+                if (tag && !containsChinese(tag)) {
+                    textsToTranslate.add(tag);
+                    if (!textMapping.has(tag)) {
+                        textMapping.set(tag, { type: 'tag', indices: [] });
+                    }
+                    textMapping.get(tag).indices.push(i);
+                }
+            });
+        }
+    });
+
+    // Build final character list
+    const characters = nodes.map((node, i) => {
+        const fullPath = node.fullPath.replace(/^(lorebooks|presets)\//, '');
+        const originalName = node.name;
+        const originalDescription = node.tagline || node.description || "Description here...";
+        const originalTags = node.topics || [];
+        
+        // Extract tag texts, names, and values for CHub
+        const tagTexts = [...originalTags]; // 原文
+        const tagNames = [...originalTags]; // 译文（翻译后）
+        const tagValues = [...originalTags]; // 值（用于搜索）
+
+        const character = {
+            url: node.avatar_url || `https://avatars.charhub.io/avatars/${node.fullPath}/avatar.webp`,
+            contentType: contentType,
+            description: originalDescription,
+            name: originalName,
+            fullPath: fullPath,
+            fullUrl: `https://chub.ai/${contentType}/${fullPath}`,
+            author: fullPath.split('/')[0],
+            authorId: fullPath.split('/')[0],
+            authorUrl: `https://chub.ai/users/${fullPath.split('/')[0]}`,
+            entryCount: node.n_entries ?? node.nEntries ?? null, // lorebooks only
+            starCount: node.starCount || 0,
+            rating: node.rating || 0,
+            ratingCount: node.ratingCount || 0,
+            nTokens: node.nTokens || 0,
+            forksCount: node.forksCount || 0,
+            nChats: node.nChats || 0,
+            nMessages: node.nMessages || 0,
+            createdAt: node.createdAt,
+            lastActivityAt: node.lastActivityAt,
+            avatar_url: node.avatar_url,
+            max_res_url: node.max_res_url,
+            verified: node.verified || false,
+            recommended: node.recommended || false,
+            nsfw_image: node.nsfw_image || false,
+            hasGallery: node.hasGallery || false,
+            projectId: node.id,
+            // Store original texts for hover display
+            originalName: originalName,
+            originalDescription: originalDescription,
+            originalTags: [...tagTexts, ...tagNames, ...tagValues] // 原文, 译文, 值
+        };
+
+        return character;
+    });
+
+    // Apply translations using the common function
+    return { characters: await applyTranslationsToCharacters(characters), total };
+}
+
+registerProvider({
+    id: 'chub',
+    name: 'CHub',
+    sortOptions: {
+        "download_count": "Download Count",
+        "rating": "Rating",
+        "created_at": "Creation Date",
+        "name": "Name",
+        "n_tokens": "Token Count",
+        "random": "Random"
+    },
+    sortAliases: { popular: 'download_count', latest: 'created_at' },
+    filters: { searchTerm: true, includeTags: true, excludeTags: true, nsfw: true, pageSize: true, lorebooks: true, media: true, advanced: true, author: true },
+    search: fetchCharactersFromChub,
+    fetchCard: fetchChubCard,
+    fetchVersions: fetchChubVersions,
+    fetchTags: fetchChubTags,
+    contentTypes: ['characters', 'lorebooks', 'presets'],
+    fetchLorebook: fetchChubLorebookResult,
+    fetchPreset: fetchChubPresetResult
+});
+
+registerProvider({
+    id: 'janitor',
+    name: 'JanitorAI',
+    sortOptions: {
+        "popular": "Popularity",
+        "latest": "Latest",
+        "trending": "Trending",
+        "trending24": "Trending 24h",
+        "relevance": "Relevance"
+    },
+    sortAliases: { popular: 'popular', latest: 'latest' },
+    filters: { searchTerm: true, includeTags: true, nsfw: true, author: true },
+    reportedFields: ['nTokens', 'nChats', 'createdAt'],
+    search: fetchCharactersFromJanitor,
+    fetchCard: fetchJanitorCard,
+    fetchTags: fetchJanitorTags,
+    tagsById: true
+});
+
+registerProvider({
+    id: 'aicc',
+    name: 'AICC',
+    sortOptions: {
+        "default": "Featured",
+        "date:desc": "Newest",
+        "date:asc": "Oldest",
+        "modified:desc": "Recently Updated",
+        "title:asc": "Title",
+        "relevance:desc": "Relevance"
+    },
+    sortAliases: { popular: 'default', latest: 'date:desc' },
+    filters: { searchTerm: true, includeTags: true, excludeTags: true, nsfw: true, pageSize: true, author: true },
+    reportedFields: ['starCount', 'createdAt'], // starCount holds the download count
+    search: fetchCharactersFromAICC,
+    fetchCard: fetchAiccCard,
+    fetchTags: fetchAiccTags
+});
+
+registerProvider({
+    id: 'character-tavern',
+    name: 'Character Tavern',
+    sortOptions: {
+        "likes:desc": "Likes:desc",
+        "messages:desc": "Messages:desc",
+        "downloads:desc": "Downloads:desc",
+        "createdAt:desc": "Date:latest"
+    },
+    sortAliases: { popular: 'likes:desc', latest: 'createdAt:desc' },
+    filters: { searchTerm: true, includeTags: true, excludeTags: true, nsfw: true, pageSize: true, author: true },
+    reportedFields: ['starCount', 'nChats', 'createdAt'],
+    search: fetchCharactersFromCharacterTavern,
+    fetchCard: fetchCardDataUrlCard,
+    fetchTags: fetchCharacterTavernTags,
+    download: downloadCharacterTavernCharacter
+});
+
+/**
+ * Rejects if the promise does not settle within the given time.
+ * @param {Promise} promise - The promise to race.
+ * @param {number} ms - The timeout in milliseconds.
+ * @returns {Promise} - Settles like the promise, or rejects with a timeout error.
+ */
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${ms / 1000}s`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Merges per-provider result lists by taking one character from each in turn, so every source
+ * shows up near the top of the list.
+ * @param {Array<Array>} resultLists - The result lists, in provider order.
+ * @returns {Array} - The merged list.
+ */
+function interleaveResults(resultLists) {
+    const merged = [];
+    const longest = Math.max(0, ...resultLists.map(list => list.length));
+    for (let i = 0; i < longest; i++) {
+        resultLists.forEach(list => {
+            if (i < list.length) merged.push(list[i]);
+        });
+    }
+    return merged;
+}
+
+/**
+ * Normalizes a name or author for duplicate detection: case, accents, punctuation and spacing are ignored.
+ * @param {string} text - The text to normalize.
+ * @returns {string} - The normalized text.
+ */
+function normalizeForDuplicateKey(text) {
+    return (text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+/**
+ * Downloads an avatar and hashes its bytes. Results are cached per URL.
+ * @param {string} url - The avatar URL.
+ * @returns {Promise<string|null>} - The SHA-256 hex digest, or null if the image could not be fetched.
+ */
+function hashAvatar(url) {
+    if (!url) {
+        return Promise.resolve(null);
+    }
+    if (!avatarHashCache.has(url)) {
+        avatarHashCache.set(url, (async () => {
+            try {
+                const response = await fetch(url);
+                if (!response.ok) return null;
+                const digest = await crypto.subtle.digest('SHA-256', await response.arrayBuffer());
+                return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+            } catch (error) {
+                console.debug('Could not hash avatar:', url, error);
+                return null;
+            }
+        })());
+    }
+    return avatarHashCache.get(url);
+}
+
+/**
+ * Scores a copy of a card when picking which source a merged entry should import by default.
+ * A direct card download wins, then the most popular copy.
+ * @param {Object} character - The normalized character object.
+ * @returns {number} - The score, higher is better.
+ */
+function getSourceScore(character) {
+    const popularity = (character.starCount || 0) + (character.nChats || 0) + (character.downloads || 0);
+    return (character.cardDataUrl ? Number.MAX_SAFE_INTEGER / 2 : 0) + popularity;
+}
+
+/**
+ * Groups near-duplicate characters, e.g. the same card mirrored on CHub, Character Tavern and AICC,
+ * or repeated across pages of one source. Characters with the same normalized name and author are
+ * merged; characters with the same normalized name but a different author are merged only when
+ * their avatars are byte-identical.
+ * @param {Array} characters - The normalized character objects, in display order.
+ * @param {boolean} [compareAvatars=true] - Whether to download avatars to compare same-name cards by different authors.
+ * @returns {Promise<Array>} - The list with each group replaced by its best copy, which lists every copy in `sources`.
+ */
+async function groupDuplicateCharacters(characters, compareAvatars = true) {
+    // Flatten previously merged entries so regrouping a grown list stays stable
+    const copies = characters.flatMap(character => character.sources || [character]);
+
+    const groups = [];
+    const groupsByKey = new Map();
+    for (const character of copies) {
+        const key = `${normalizeForDuplicateKey(character.name)}|${normalizeForDuplicateKey(character.author)}`;
+        if (!groupsByKey.has(key)) {
+            const group = { name: normalizeForDuplicateKey(character.name), members: [] };
+            groupsByKey.set(key, group);
+            groups.push(group);
+        }
+        groupsByKey.get(key).members.push(character);
+    }
+
+    if (compareAvatars) {
+        const groupsByName = new Map();
+        groups.forEach(group => {
+            if (!group.name) return;
+            if (!groupsByName.has(group.name)) groupsByName.set(group.name, []);
+            groupsByName.get(group.name).push(group);
+        });
+
+        for (const sameName of groupsByName.values()) {
+            if (sameName.length < 2) continue;
+
+            const hashes = await Promise.all(sameName.map(group => hashAvatar(group.members[0].avatar_url || group.members[0].url)));
+            const firstWithHash = new Map();
+            sameName.forEach((group, i) => {
+                if (!hashes[i]) return;
+                const target = firstWithHash.get(hashes[i]);
+                if (target) {
+                    target.members.push(...group.members);
+                    group.members = [];
+                } else {
+                    firstWithHash.set(hashes[i], group);
+                }
+            });
+        }
+    }
+
+    return groups.filter(group => group.members.length > 0).map(group => {
+        if (group.members.length === 1) {
+            return group.members[0];
+        }
+        const members = [...group.members].sort((a, b) => getSourceScore(b) - getSourceScore(a));
+        return { ...members[0], sources: members };
+    });
+}
+
+/**
+ * Searches every federated provider concurrently with the same options. A source that fails or
+ * takes longer than FEDERATED_SEARCH_TIMEOUT is skipped with a warning instead of failing the search.
+ * @param {Object} options - The search options object, passed on to each provider's search function.
+ * @param {function(Array): void} [options.onProgress] - Called with the merged results so far whenever a source finishes.
+ * @returns {Promise<{characters: Array, total: number|null}>} - Resolves with the merged character objects, each tagged with
+ * its provider id, and the sum of the sources' totals if every source reported one.
+ */
+async function fetchCharactersFromAllProviders({ onProgress, ...options }) {
+    const sources = [...providers.values()].filter(provider => provider.id !== 'all' && provider.federated);
+    const resultLists = sources.map(() => []);
+    const totals = sources.map(() => null);
+    const failed = [];
+
+    await Promise.all(sources.map(async (provider, i) => {
+        const sort = provider.sortAliases[options.sort] || Object.keys(provider.sortOptions)[0];
+        // Tags are picked by name here, use each provider's own identifier where it is known
+        const toProviderTags = (tags) => (tags || []).map(tag => lookupTagId(provider.id, canonicalTagKey(tag)) || tag);
+        try {
+            const result = await withTimeout(searchProvider(provider, { ...options, sort, includeTags: toProviderTags(options.includeTags), excludeTags: toProviderTags(options.excludeTags) }), FEDERATED_SEARCH_TIMEOUT);
+            resultLists[i] = result.characters;
+            totals[i] = result.total;
+            if (onProgress) onProgress(interleaveResults(resultLists));
+        } catch (error) {
+            console.error(`Error searching ${provider.name}:`, error);
+            failed.push(provider.name);
+        }
+    }));
+
+    if (failed.length > 0) {
+        toastr.warning(`Skipped: ${failed.join(', ')}`, 'Some sources did not respond');
+    }
+
+    return {
+        characters: interleaveResults(resultLists),
+        total: totals.every(total => total !== null) ? totals.reduce((sum, total) => sum + total, 0) : null
+    };
+}
+
+registerProvider({
+    id: 'all',
+    name: 'All sources',
+    sortOptions: {
+        "popular": "Popularity",
+        "latest": "Latest"
+    },
+    filters: { searchTerm: true, includeTags: true, excludeTags: true, nsfw: true },
+    federated: false,
+    search: fetchCharactersFromAllProviders
+});
+
+/**
+ * Opens the IndexedDB database holding cached search pages, thumbnails and cards, and drops expired entries.
+ * @returns {Promise<IDBDatabase>} - The database. Rejects if IndexedDB is unavailable.
+ */
+function openCacheDatabase() {
+    if (!cacheDatabase) {
+        cacheDatabase = new Promise((resolve, reject) => {
+            const request = indexedDB.open(CACHE_DB_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(CACHE_STORE_NAME, { keyPath: 'key' });
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        cacheDatabase.then(pruneCache).catch(error => console.warn('Could not prune the cache:', error));
+    }
+    return cacheDatabase;
+}
+
+/**
+ * Runs a request against the cache store.
+ * @param {IDBTransactionMode} mode - "readonly" or "readwrite".
+ * @param {function(IDBObjectStore): IDBRequest} operation - Creates the request.
+ * @returns {Promise<*>} - The request's result.
+ */
+async function runCacheRequest(mode, operation) {
+    const database = await openCacheDatabase();
+    return new Promise((resolve, reject) => {
+        const request = operation(database.transaction(CACHE_STORE_NAME, mode).objectStore(CACHE_STORE_NAME));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Gets a provider's cache time-to-live.
+ * @param {string} providerId - The provider id.
+ * @returns {number} - The time-to-live in ms, 0 if the provider is not cached.
+ */
+function getCacheTtl(providerId) {
+    const minutes = extension_settings.chub.cacheTtl?.[providerId] ?? DEFAULT_CACHE_TTL_MINUTES;
+    return Math.max(0, Number(minutes) || 0) * 60 * 1000;
+}
+
+/**
+ * Reads a cache entry that has not expired yet.
+ * @param {string} providerId - The provider the entry belongs to, which sets its time-to-live.
+ * @param {string} key - The cache key.
+ * @returns {Promise<*>} - The cached value, or null if there is none.
+ */
+async function getCachedValue(providerId, key) {
+    const ttl = getCacheTtl(providerId);
+    if (ttl === 0) return null;
+    try {
+        const entry = await runCacheRequest('readonly', store => store.get(key));
+        return entry && Date.now() - entry.storedAt < ttl ? entry.value : null;
+    } catch (error) {
+        console.warn('Could not read the cache:', key, error);
+        return null;
+    }
+}
+
+/**
+ * Stores a cache entry. Failures are logged and otherwise ignored.
+ * @param {string} providerId - The provider the entry belongs to.
+ * @param {string} key - The cache key.
+ * @param {*} value - The value, anything IndexedDB can clone (including Blobs).
+ * @returns {Promise<void>}
+ */
+async function setCachedValue(providerId, key, value) {
+    if (getCacheTtl(providerId) === 0) return;
+    try {
+        await runCacheRequest('readwrite', store => store.put({ key, provider: providerId, storedAt: Date.now(), value }));
+    } catch (error) {
+        console.warn('Could not write the cache:', key, error);
+    }
+}
+
+/**
+ * Deletes the cache entries that outlived their provider's time-to-live.
+ * @param {IDBDatabase} database - The cache database.
+ */
+function pruneCache(database) {
+    const request = database.transaction(CACHE_STORE_NAME, 'readwrite').objectStore(CACHE_STORE_NAME).openCursor();
+    request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        if (Date.now() - cursor.value.storedAt >= getCacheTtl(cursor.value.provider)) {
+            cursor.delete();
+        }
+        cursor.continue();
+    };
+}
+
+/**
+ * Deletes every cache entry.
+ * @returns {Promise<void>}
+ */
+async function clearCache() {
+    await runCacheRequest('readwrite', store => store.clear());
+}
+
+/**
+ * Builds the cache key of a search, so that equivalent searches share an entry.
+ * @param {string} providerId - The provider id.
+ * @param {Object} options - The search options.
+ * @returns {string} - The cache key.
+ */
+function getSearchCacheKey(providerId, options) {
+    const normalizeTags = (tags) => (tags || []).map(tag => tag.trim().toLowerCase()).filter(tag => tag).sort();
+    return `search:${providerId}:${JSON.stringify({
+        searchTerm: (options.searchTerm || '').trim().toLowerCase(),
+        includeTags: normalizeTags(options.includeTags),
+        excludeTags: normalizeTags(options.excludeTags),
+        nsfw: !!options.nsfw,
+        sort: options.sort || '',
+        page: Number(options.page) || 1,
+        contentType: options.contentType || 'characters',
+        author: options.author || '',
+        findCount: extension_settings.chub.findCount,
+        enableTranslation: !!extension_settings.chub.enableTranslation,
+        chubFilters: extension_settings.chub.chubFilters
+    })}`;
+}
+
+/**
+ * Brings a provider's search result to one shape, as providers may resolve with a plain array.
+ * @param {Array|{characters: Array, total: number}} result - The search result.
+ * @returns {{characters: Array, total: number|null}} - The characters and the number of matches, null if unknown.
+ */
+function normalizeSearchResult(result) {
+    if (Array.isArray(result)) {
+        return { characters: result, total: null };
+    }
+    return { characters: result?.characters || [], total: Number.isFinite(result?.total) ? result.total : null };
+}
+
+/**
+ * Searches one provider, answering from the cache when the same search ran recently.
+ * @param {Object} provider - The provider.
+ * @param {Object} options - The search options.
+ * @returns {Promise<{characters: Array, total: number|null}>} - The normalized character objects, tagged with their provider, and the number of matches.
+ */
+async function searchProvider(provider, options) {
+    const { onProgress, ...searchOptions } = options;
+    const key = getSearchCacheKey(provider.id, searchOptions);
+    const cached = await getCachedValue(provider.id, key);
+    if (cached) {
+        return normalizeSearchResult(cached);
+    }
+
+    const result = normalizeSearchResult(await provider.search(options));
+    result.characters.forEach(character => {
+        character.provider = character.provider || provider.id;
+        character.contentType = character.contentType || 'characters';
+    });
+    if (result.characters.length > 0) {
+        await setCachedValue(provider.id, key, result);
+    }
+    return result;
+}
+
+/**
+ * Downloads a character's card through its provider, reusing a recently downloaded copy.
+ * @param {Object} character - The normalized character object.
+ * @returns {Promise<Blob>} - The card PNG. Rejects with a readable message if the download failed.
+ */
+async function fetchCharacterCard(character) {
+    const provider = getProvider(character.provider);
+    if (!provider.fetchCard) {
+        throw new Error(`${provider.name} does not offer card downloads`);
+    }
+
+    const key = `card:${provider.id}:${character.fullPath || character.fullUrl}:${character.version || ''}`;
+    const cached = await getCachedValue(provider.id, key);
+    if (cached) {
+        return cached;
+    }
+
+    const cardBlob = await provider.fetchCard(character);
+    await setCachedValue(provider.id, key, cardBlob);
+    return cardBlob;
+}
+
+/**
+ * Fetches characters from the currently selected provider based on specified search criteria.
+ * @param {Object} options - The search options object, passed on to the provider's search function.
+ * @returns {Promise<{characters: Array, total: number|null}>} - Resolves with the character objects, each tagged with its provider id, and the number of matches.
+ */
+async function fetchCharactersBySearch(options) {
+    const provider = getProvider(extension_settings.chub.apiProvider);
+    // "All sources" caches the search of each source instead
+    if (provider.id === 'all') {
+        return normalizeSearchResult(await provider.search(options));
+    }
+    return await searchProvider(provider, options);
+}
+
+/**
+ * Searches for characters based on the provided options and manages the UI during the search.
+ * @param {Object} options - The search criteria/options for fetching characters.
+ * @returns {Promise<{characters: Array, total: number|null}>} - Resolves with the character objects that match the search criteria and the number of matches.
+ */
+async function searchCharacters(options) {
+    if (characterListContainer && !document.body.contains(characterListContainer)) {
+        console.log('Character list container is not in the DOM, removing reference');
+        characterListContainer = null;
+    }
+    // grey out the character-list-popup while we're searching
+    if (characterListContainer) {
+        characterListContainer.classList.add('searching');
+    }
+    console.log('Searching for characters', options);
+    const result = await fetchCharactersBySearch(options);
+    if (characterListContainer) {
+        characterListContainer.classList.remove('searching');
+    }
+
+    return result;
+}
+
+/**
+ * Builds the stored form of a search, everything needed to run it again. The readable names of
+ * tags picked by identifier are kept with it, see getStoredTagLabel.
+ * @param {Object} options - The search options passed to executeCharacterSearch.
+ * @returns {Object} - The search, with its provider and without the page.
+ */
+function toStoredSearch(options) {
+    const apiProvider = extension_settings.chub.apiProvider;
+    const includeTags = (options.includeTags || []).filter(tag => tag);
+    const excludeTags = (options.excludeTags || []).filter(tag => tag);
+    const tagNames = {};
+    for (const tag of [...includeTags, ...excludeTags]) {
+        const label = getTagLabel(apiProvider, tag);
+        if (label !== tag) tagNames[tag] = label;
+    }
+    return {
+        apiProvider,
+        contentType: options.contentType || 'characters',
+        searchTerm: (options.searchTerm || '').trim(),
+        includeTags,
+        excludeTags,
+        tagNames,
+        nsfw: !!options.nsfw,
+        sort: options.sort || '',
+        author: options.author && creatorScope ? { id: creatorScope.id, name: creatorScope.name, url: creatorScope.url } : null
+    };
+}
+
+/**
+ * Gets the readable name of a tag of a stored search.
+ * @param {Object} search - The stored search.
+ * @param {string} tag - The tag identifier.
+ * @returns {string} - The name stored with the search, or the one seen this session.
+ */
+function getStoredTagLabel(search, tag) {
+    return search.tagNames?.[tag] || getTagLabel(search.apiProvider, tag);
+}
+
+/**
+ * Describes a stored search in one line for the saved search dropdown.
+ * @param {Object} search - The stored search.
+ * @returns {string} - The description.
+ */
+function describeSearch(search) {
+    const parts = [getProvider(search.apiProvider).name];
+    if (search.contentType && search.contentType !== 'characters') parts.push(CONTENT_TYPE_LABELS[search.contentType] || search.contentType);
+    if (search.author) parts.push(`by ${search.author.name}`);
+    if (search.searchTerm) parts.push(`"${search.searchTerm}"`);
+    if (search.includeTags.length > 0) parts.push(search.includeTags.map(tag => `+${getStoredTagLabel(search, tag)}`).join(' '));
+    if (search.excludeTags.length > 0) parts.push(search.excludeTags.map(tag => `-${getStoredTagLabel(search, tag)}`).join(' '));
+    if (search.sort) parts.push(getProvider(search.apiProvider).sortOptions[search.sort] || search.sort);
+    if (search.nsfw) parts.push('NSFW');
+    return parts.join(' · ');
+}
+
+/**
+ * Adds a search to the front of the search history, dropping an identical older entry.
+ * Paging through results does not count as a new search.
+ * @param {Object} options - The search options passed to executeCharacterSearch.
+ */
+function recordSearchHistory(options) {
+    if ((Number(options.page) || 1) > 1) return;
+
+    const search = toStoredSearch(options);
+    const key = JSON.stringify(search);
+    const history = (extension_settings.chub.searchHistory || []).filter(entry => JSON.stringify(entry) !== key);
+    extension_settings.chub.searchHistory = [search, ...history].slice(0, SEARCH_HISTORY_LIMIT);
+    saveSettings();
+    renderSavedSearchOptions();
+}
+
+/**
+ * Fills the saved search dropdown with the named saved searches and the search history. A picked
+ * saved search stays selected, so it can still be deleted after it ran; history entries move to
+ * the top when they run, so they are not kept.
+ */
+function renderSavedSearchOptions() {
+    const select = document.getElementById('savedSearchSelect');
+    if (!select) return;
+    const picked = select.value;
+
+    const saved = extension_settings.chub.savedSearches || [];
+    const history = extension_settings.chub.searchHistory || [];
+    select.innerHTML = `
+        <option value="">Saved searches…</option>
+        ${saved.length > 0 ? `<optgroup label="Saved">${saved.map((entry, i) => `<option value="saved:${i}" title="${escapeHtml(describeSearch(entry.search))}">${escapeHtml(entry.name)}</option>`).join('')}</optgroup>` : ''}
+        ${history.length > 0 ? `<optgroup label="Recent">${history.map((search, i) => `<option value="history:${i}">${escapeHtml(describeSearch(search))}</option>`).join('')}</optgroup>` : ''}
+    `;
+    select.value = picked.startsWith('saved:') && select.querySelector(`option[value="${picked}"]`) ? picked : '';
+    document.getElementById('deleteSavedSearchButton')?.classList.toggle('disabled', !select.value);
+}
+
+/**
+ * Looks up the search picked in the saved search dropdown.
+ * @param {string} value - The option value, "saved:<index>" or "history:<index>".
+ * @returns {Object|null} - The stored search, or null if none is picked.
+ */
+function getPickedSearch(value) {
+    const [list, index] = value.split(':');
+    if (list === 'saved') return extension_settings.chub.savedSearches?.[Number(index)]?.search || null;
+    if (list === 'history') return extension_settings.chub.searchHistory?.[Number(index)] || null;
+    return null;
+}
+
+/**
+ * Restores every search input, and the provider and content type settings, from a stored search.
+ * @param {Object} search - The stored search.
+ */
+function restoreSearchInputs(search) {
+    const apiProvider = providers.has(search.apiProvider) ? search.apiProvider : 'chub';
+    extension_settings.chub.apiProvider = apiProvider;
+    extension_settings.chub.contentType = search.contentType || 'characters';
+    extension_settings.chub.nsfw = search.nsfw;
+    saveSettings();
+
+    document.getElementById('apiProviderSelect').value = apiProvider;
+    updateSortOptions(apiProvider);
+    updateContentTypeOptions(apiProvider);
+    updateFilterInputs(apiProvider);
+
+    document.getElementById('characterSearchInput').value = search.searchTerm;
+    // Let the chips show the names of tags picked by identifier
+    Object.entries(search.tagNames || {}).forEach(([id, name]) => learnTag(apiProvider, id, name));
+    document.getElementById('includeTags').value = search.includeTags.join(', ');
+    document.getElementById('excludeTags').value = search.excludeTags.join(', ');
+    renderTagChips('include');
+    renderTagChips('exclude');
+    document.getElementById('nsfwCheckbox').checked = search.nsfw;
+    if (search.sort && getProvider(apiProvider).sortOptions[search.sort]) {
+        document.getElementById('sortOrder').value = search.sort;
+    }
+    document.getElementById('pageNumber').value = 1;
+
+    creatorScope = search.author ? { provider: apiProvider, ...search.author } : null;
+    renderCreatorScope();
+}
+
+/**
+ * Asks for a name and saves the current search inputs as a named search. A search saved under
+ * an existing name replaces it.
+ * @param {Object} options - The search options read from the inputs.
+ * @returns {Promise<void>}
+ */
+async function saveCurrentSearch(options) {
+    const search = toStoredSearch(options);
+    const dialog = openOverlayDialog('Save search', `
+        <p>${escapeHtml(describeSearch(search))}</p>
+        <input type="text" class="text_pole saved-search-name" placeholder="Name">
+    `, [
+        { label: 'Save', value: 'save' },
+        { label: 'Cancel', value: 'cancel' }
+    ]);
+    const nameInput = dialog.content.querySelector('.saved-search-name');
+    nameInput.value = search.searchTerm || search.includeTags.map(tag => getStoredTagLabel(search, tag)).join(', ');
+    nameInput.focus();
+    nameInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') dialog.close('save');
+    });
+
+    if (await dialog.result !== 'save') return;
+    const name = nameInput.value.trim();
+    if (!name) {
+        toastr.warning('A saved search needs a name');
+        return;
+    }
+
+    const savedSearches = (extension_settings.chub.savedSearches || []).filter(entry => entry.name !== name);
+    extension_settings.chub.savedSearches = [...savedSearches, { name, search }].sort((a, b) => a.name.localeCompare(b.name));
+    saveSettings();
+    // Select the new entry, the indices of the others may have moved
+    const select = document.getElementById('savedSearchSelect');
+    select.value = '';
+    renderSavedSearchOptions();
+    select.value = `saved:${extension_settings.chub.savedSearches.findIndex(entry => entry.name === name)}`;
+    document.getElementById('deleteSavedSearchButton').classList.remove('disabled');
+    toastr.success(`Saved search "${name}"`);
+}
+
+/**
+ * Builds the copy of a search result kept in the favorites, with what is needed to show it
+ * offline and to import it again.
+ * @param {Object} character - The normalized character object.
+ * @returns {Object} - The stored character.
+ */
+function toFavoriteCharacter(character) {
+    return {
+        provider: character.provider,
+        contentType: character.contentType || 'characters',
+        fullPath: character.fullPath,
+        fullUrl: character.fullUrl,
+        cardDataUrl: character.cardDataUrl || '',
+        name: character.originalName || character.name,
+        originalName: character.originalName || character.name,
+        description: character.originalDescription || character.description || '',
+        author: character.author,
+        authorUrl: character.authorUrl || '',
+        url: character.url || '',
+        avatar_url: character.avatar_url || character.url || '',
+        max_res_url: character.max_res_url || '',
+        projectId: character.projectId,
+        version: character.version,
+        originalTags: character.originalTags || []
+    };
+}
+
+/**
+ * Finds the favorites entry of a character.
+ * @param {Object} character - The normalized character object.
+ * @returns {Object|undefined} - The entry, if the character is a favorite.
+ */
+function findFavorite(character) {
+    const key = getCharacterKey(character);
+    return (extension_settings.chub.favorites || []).find(entry => entry.key === key);
+}
+
+/**
+ * Adds a character to the favorites, or removes it if it already is one.
+ * @param {Object} character - The normalized character object.
+ * @returns {boolean} - Whether the character is a favorite now.
+ */
+function toggleFavorite(character) {
+    const key = getCharacterKey(character);
+    const favorites = extension_settings.chub.favorites || [];
+    const isFavorite = favorites.some(entry => entry.key === key);
+
+    extension_settings.chub.favorites = isFavorite
+        ? favorites.filter(entry => entry.key !== key)
+        : [{ key, character: toFavoriteCharacter(character), note: '', labels: [], addedAt: new Date().toISOString() }, ...favorites];
+    saveSettings();
+    updateFavoritesCount();
+    return !isFavorite;
+}
+
+/**
+ * Shows the number of favorites on the button that opens them.
+ */
+function updateFavoritesCount() {
+    const favoritesCount = document.getElementById('favoritesCount');
+    if (favoritesCount) {
+        favoritesCount.textContent = (extension_settings.chub.favorites || []).length;
+    }
+}
+
+/**
+ * Generates the HTML for an entry of the favorites view.
+ * @param {Object} entry - The favorites entry.
+ * @returns {string} - The HTML of the entry.
+ */
+function generateFavoriteItem(entry) {
+    const character = entry.character;
+    const contentType = character.contentType || 'characters';
+    return `
+        <div class="favorite-item" data-key="${escapeHtml(entry.key)}">
+            <img class="thumbnail" src="${DEFAULT_AVATAR_URL}" data-src="${escapeHtml(character.url || DEFAULT_AVATAR_URL)}" data-provider="${escapeHtml(character.provider)}">
+            <div class="info">
+                <div class="character-header">
+                    <span class="name">${escapeHtml(character.name)}</span>
+                    <span class="provider-badge" data-provider="${escapeHtml(character.provider)}">${escapeHtml(getProvider(character.provider).name)}</span>
+                    ${contentType !== 'characters' ? `<span class="content-type-badge">${contentType === 'lorebooks' ? 'Lorebook' : 'Preset'}</span>` : ''}
+                    <span class="author">by ${escapeHtml(character.author)}</span>
+                </div>
+                <input type="text" class="text_pole favorite-labels" placeholder="Labels, comma separated" value="${escapeHtml(entry.labels.join(', '))}">
+                <textarea class="text_pole favorite-note" rows="2" placeholder="Note">${escapeHtml(entry.note)}</textarea>
+            </div>
+            <div class="character-actions">
+                <div class="menu_button favorite-import-btn fa-solid fa-cloud-arrow-down faSmallFontSquareFix" title="Import"></div>
+                <div class="menu_button favorite-open-btn fa-solid fa-arrow-up-right-from-square faSmallFontSquareFix" title="Open the source page"></div>
+                <div class="menu_button favorite-remove-btn fa-solid fa-trash-can faSmallFontSquareFix" title="Remove from favorites"></div>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Opens the favorites view, which lists the saved results without searching. Entries can be
+ * given notes and labels, filtered by label, imported, opened at their source or removed.
+ */
+function openFavoritesView() {
+    const dialog = openOverlayDialog('Favorites', `
+        <div class="favorites-toolbar flex-container flex-no-wrap flex-align-center">
+            <label for="favoritesLabelFilter">Label:</label>
+            <select id="favoritesLabelFilter" class="margin0"></select>
+        </div>
+        <div class="favorites-list"></div>
+    `, [{ label: 'Close', value: 'close' }]);
+    const labelFilter = dialog.content.querySelector('#favoritesLabelFilter');
+    const list = dialog.content.querySelector('.favorites-list');
+    const getEntry = (element) => (extension_settings.chub.favorites || []).find(entry => entry.key === element.closest('.favorite-item')?.getAttribute('data-key'));
+
+    const render = () => {
+        const favorites = extension_settings.chub.favorites || [];
+        const labels = [...new Set(favorites.flatMap(entry => entry.labels))].sort((a, b) => a.localeCompare(b));
+        const label = labels.includes(labelFilter.value) ? labelFilter.value : '';
+        labelFilter.innerHTML = `<option value="">All (${favorites.length})</option>`
+            + labels.map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('');
+        labelFilter.value = label;
+
+        const shown = label ? favorites.filter(entry => entry.labels.includes(label)) : favorites;
+        list.innerHTML = shown.length > 0
+            ? shown.map(generateFavoriteItem).join('')
+            : '<div class="no-characters-found">No favorites yet, star a search result to add it</div>';
+        observeThumbnails(list);
+    };
+
+    labelFilter.addEventListener('change', render);
+    list.addEventListener('change', (event) => {
+        const entry = getEntry(event.target);
+        if (!entry) return;
+        if (event.target.classList.contains('favorite-note')) {
+            entry.note = event.target.value;
+        } else if (event.target.classList.contains('favorite-labels')) {
+            entry.labels = [...new Set(event.target.value.split(',').map(label => label.trim()).filter(label => label))];
+            render();
+        }
+        saveSettings();
+    });
+    list.addEventListener('click', async (event) => {
+        const entry = getEntry(event.target);
+        if (!entry) return;
+        if (event.target.classList.contains('favorite-import-btn')) {
+            await importSearchResult(entry.character);
+        } else if (event.target.classList.contains('favorite-open-btn')) {
+            window.open(entry.character.fullUrl, '_blank', 'noopener');
+        } else if (event.target.classList.contains('favorite-remove-btn')) {
+            toggleFavorite(entry.character);
+            characterListContainer?.querySelectorAll('.favorite-btn.fa-solid').forEach(button => {
+                const character = chubCharacters[Number(button.closest('.character-list-item')?.getAttribute('data-index'))];
+                if (character && getCharacterKey(character) === entry.key) {
+                    button.classList.replace('fa-solid', 'fa-regular');
+                }
+            });
+            render();
+        }
+    });
+
+    render();
+}
+
+/**
+ * Finds a followed creator.
+ * @param {string} provider - The provider id.
+ * @param {string} id - The creator's id on that provider (a result's `authorId`).
+ * @returns {Object|undefined} - The followed creator, if followed.
+ */
+function findFollowedCreator(provider, id) {
+    return (extension_settings.chub.followedCreators || []).find(creator => creator.provider === provider && creator.id === id);
+}
+
+/**
+ * Tells whether a result is a card from a followed creator published since their catalog was last viewed.
+ * While a followed creator's catalog is shown, cards are compared with the visit before it.
+ * @param {Object} character - The normalized character object.
+ * @returns {boolean} - Whether to flag the card as new.
+ */
+function isNewFromFollowedCreator(character) {
+    const creator = character.authorId ? findFollowedCreator(character.provider, character.authorId) : null;
+    if (!creator) return false;
+
+    const isScoped = creatorScope && creatorScope.provider === creator.provider && creatorScope.id === creator.id && creatorScope.since !== undefined;
+    const createdAt = Date.parse(character.createdAt);
+    return !Number.isNaN(createdAt) && createdAt > Date.parse(isScoped ? creatorScope.since : creator.lastSeenAt);
+}
+
+/**
+ * Follows a creator, or unfollows them if already followed.
+ * @param {{provider: string, id: string, name: string, url: string}} creator - The creator.
+ * @returns {boolean} - Whether the creator is followed now.
+ */
+function toggleFollowCreator(creator) {
+    const followedCreators = extension_settings.chub.followedCreators || [];
+    const isFollowed = !!findFollowedCreator(creator.provider, creator.id);
+    const now = new Date().toISOString();
+
+    extension_settings.chub.followedCreators = isFollowed
+        ? followedCreators.filter(entry => entry.provider !== creator.provider || entry.id !== creator.id)
+        : [...followedCreators, { provider: creator.provider, id: creator.id, name: creator.name, url: creator.url, followedAt: now, lastSeenAt: now }];
+    saveSettings();
+    renderFollowedCreatorOptions();
+    return !isFollowed;
+}
+
+/**
+ * Moves the last visit of a followed creator's catalog to now, when the first page of it is shown.
+ * The previous visit is kept on the scope so the cards published since then stay flagged.
+ * @param {Object} options - The search options passed to executeCharacterSearch.
+ */
+function markCreatorSeen(options) {
+    if (!creatorScope || options.author !== creatorScope.id || (Number(options.page) || 1) > 1) return;
+    const creator = findFollowedCreator(creatorScope.provider, creatorScope.id);
+    if (!creator) return;
+
+    if (creatorScope.since === undefined) {
+        creatorScope.since = creator.lastSeenAt;
+    }
+    creator.lastSeenAt = new Date().toISOString();
+    saveSettings();
+}
+
+/**
+ * Limits the search to one creator's cards on their provider, clearing the search term and tags.
+ * @param {{provider: string, id: string, name: string, url: string}} creator - The creator.
+ */
+function scopeSearchToCreator(creator) {
+    restoreSearchInputs({
+        apiProvider: creator.provider,
+        contentType: 'characters',
+        searchTerm: '',
+        includeTags: [],
+        excludeTags: [],
+        nsfw: !!extension_settings.chub.nsfw,
+        sort: '',
+        author: { id: creator.id, name: creator.name, url: creator.url }
+    });
+}
+
+/**
+ * Shows which creator the search is limited to, with the follow, profile and clear buttons.
+ */
+function renderCreatorScope() {
+    const container = document.getElementById('creatorScope');
+    if (!container) return;
+
+    container.style.display = creatorScope ? '' : 'none';
+    if (!creatorScope) {
+        container.innerHTML = '';
+        return;
+    }
+    const isFollowed = !!findFollowedCreator(creatorScope.provider, creatorScope.id);
+    container.innerHTML = `
+        <i class="fa-solid fa-user"></i>
+        <span>Cards by <b>${escapeHtml(creatorScope.name)}</b> on ${escapeHtml(getProvider(creatorScope.provider).name)}</span>
+        <div class="menu_button follow-creator-btn" title="Flag new cards from this creator">${isFollowed ? '<i class="fa-solid fa-bell-slash"></i> Unfollow' : '<i class="fa-solid fa-bell"></i> Follow'}</div>
+        ${creatorScope.url ? `<a class="menu_button fa-solid fa-arrow-up-right-from-square" href="${escapeHtml(creatorScope.url)}" target="_blank" title="Open the creator's profile"></a>` : ''}
+        <div class="menu_button clear-creator-btn fa-solid fa-xmark" title="Search all creators"></div>
+    `;
+}
+
+/**
+ * Fills the followed creators dropdown.
+ */
+function renderFollowedCreatorOptions() {
+    const select = document.getElementById('followedCreatorSelect');
+    if (!select) return;
+
+    const followedCreators = extension_settings.chub.followedCreators || [];
+    select.innerHTML = `<option value="">Followed creators (${followedCreators.length})</option>`
+        + followedCreators.map((creator, i) => `<option value="${i}">${escapeHtml(creator.name)} (${escapeHtml(getProvider(creator.provider).name)})</option>`).join('');
+    select.disabled = followedCreators.length === 0;
+}
+
+/**
+ * Remembers the readable names of the tags on search results, keyed by the identifier each
+ * provider searches with, for the tag picker's chips and suggestions and the tag dictionary.
+ * @param {Array} characters - Normalized character objects.
+ */
+function recordSeenTags(characters) {
+    for (const character of characters) {
+        for (const entry of [character, ...(character.sources || [])]) {
+            if (!entry.provider || !Array.isArray(entry.originalTags)) continue;
+            const third = entry.originalTags.length / 3;
+            const names = entry.originalTags.slice(0, third);
+            const ids = entry.originalTags.slice(third * 2);
+
+            ids.forEach((id, i) => {
+                if (id && names[i]) learnTag(entry.provider, String(id), String(names[i]));
+            });
+        }
+    }
 }
 
 /**
- * Fetches characters from Character Tavern API based on specified search criteria.
- * @param {Object} options - The search options object.
- * @param {string} [options.searchTerm] - A search term to filter characters by name/description.
- * @param {Array<string>} [options.includeTags] - A list of tags that the returned characters should include.
- * @param {Array<string>} [options.excludeTags] - A list of tags that the returned characters should not include.
- * @param {boolean} [options.nsfw] - Whether or not to include NSFW characters. Defaults to the extension settings.
- * @param {string} [options.sort] - The criteria by which to sort the characters. Default is by likes.
- * @param {number} [options.page=1] - The page number for pagination. Defaults to 1.
- * @returns {Promise<Array>} - Resolves with an array of character objects that match the search criteria.
+ * Gets the readable name of a tag identifier.
+ * @param {string} providerId - The provider the identifier belongs to.
+ * @param {string} id - The tag identifier.
+ * @returns {string} - The name, or the identifier itself if the name is unknown.
  */
-async function fetchCharactersFromCharacterTavern({ searchTerm, includeTags, excludeTags, nsfw, sort, page=1 }) {
-    // Get authorization token
-    const authToken = await getCharacterTavernAuth();
-    if (!authToken) {
-        console.error('Failed to get Character Tavern authorization token');
-        return [];
-    }
-    
-    // Build filters
-    const filters = [];
-    if (!nsfw) {
-        filters.push("isNSFW = false");
-    }
-    
-    // Add contentWarnings IS EMPTY filter (based on second parameter standard)
-    filters.push("contentWarnings IS EMPTY");
-    
-    if (includeTags && includeTags.length > 0) {
-        // Filter out empty tags
-        const validIncludeTags = includeTags.filter(tag => tag && tag.trim().length > 0);
-        if (validIncludeTags.length > 0) {
-            // Add each tag as a separate filter condition
-            validIncludeTags.forEach(tag => {
-                filters.push(`tags = '${tag.trim()}'`);
-            });
+function getTagLabel(providerId, id) {
+    if (providerId === 'all') {
+        for (const names of seenTags.values()) {
+            if (names.has(id)) return names.get(id);
         }
+        return id;
     }
-    if (excludeTags && excludeTags.length > 0) {
-        // Filter out empty tags
-        const validExcludeTags = excludeTags.filter(tag => tag && tag.trim().length > 0);
-        if (validExcludeTags.length > 0) {
-            // Add each tag as a separate filter condition
-            validExcludeTags.forEach(tag => {
-                filters.push(`tags != '${tag.trim()}'`);
-            });
+    return seenTags.get(providerId)?.get(id) || id;
+}
+
+/**
+ * Suggests tags for the text typed in the tag picker, from the provider's tag vocabulary and the
+ * tags seen on its results. Prefix matches come first, then the most used tags.
+ * @param {string} providerId - The selected provider.
+ * @param {string} query - The typed text.
+ * @returns {Promise<Array<{id: string, name: string, count: number|null}>>} - The suggestions.
+ */
+async function suggestTags(providerId, query) {
+    const provider = getProvider(providerId);
+    const needle = query.trim().toLowerCase();
+    if (!needle) return [];
+
+    let remote = [];
+    if (provider.fetchTags) {
+        const key = `${provider.id}:${needle}`;
+        if (!tagSuggestionCache.has(key)) {
+            tagSuggestionCache.set(key, provider.fetchTags(needle).catch(error => {
+                console.warn('Could not load tag suggestions:', error);
+                tagSuggestionCache.delete(key);
+                return [];
+            }));
         }
+        remote = await tagSuggestionCache.get(key);
     }
-    
-    // Default sort
-    const sortOptions = [
-        "likes:desc",
-        "messages:desc", 
-        "downloads:desc",
-        "createdAt:desc"
-    ];
-    
-    // Override with user selection if provided
-    if (sort && sort !== 'default') {
-        sortOptions[0] = sort;
-    }
-    
-    const requestBody = {
-        q: searchTerm || "",
-        hitsPerPage: 49,
-        sort: sortOptions,
-        filter: filters,
-        page: parseInt(page) || 1  // Ensure page is a number, not string
-    };
-    
-    try {
-        const response = await fetch(CHARACTER_TAVERN_SEARCH_ENDPOINT, {
-            method: 'POST',
-            headers: {
-                'accept': '*/*',
-                'accept-encoding': 'identity',
-                'accept-language': 'zh-CN,zh;q=0.9,en;q=0.8',
-                'authorization': `Bearer ${authToken}`,
-                'content-type': 'application/json',
-                'origin': 'https://character-tavern.com',
-                'referer': 'https://character-tavern.com/',
-                'user-agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/140.0.0.0 Safari/537.36',
-                'x-meilisearch-client': 'Meilisearch JavaScript (v0.52.0)'
-            },
-            body: JSON.stringify(requestBody)
-        });
-        
-        if (!response.ok) {
-            console.error('Character Tavern API error:', response.status, response.statusText);
-            // If 401/403, clear cached auth and retry once
-            if (response.status === 401 || response.status === 403) {
-                console.log('Auth token expired, clearing cache and retrying...');
-                characterTavernAuth = null;
-                return await fetchCharactersFromCharacterTavern({ searchTerm, includeTags, excludeTags, nsfw, sort, page });
+
+    const seenSources = provider.id === 'all' ? [...seenTags.values()] : [seenTags.get(provider.id) || new Map()];
+    const suggestions = new Map(remote.map(tag => [tag.id, tag]));
+    for (const names of seenSources) {
+        for (const [id, name] of names) {
+            if (!suggestions.has(id) && (name.toLowerCase().includes(needle) || id.toLowerCase().includes(needle))) {
+                suggestions.set(id, { id, name, count: null });
             }
-            return [];
-        }
-        
-        const data = await response.json();
-        console.log('Character Tavern API response:', data);
-        
-        if (!data.hits || !Array.isArray(data.hits)) {
-            console.error('Character Tavern API returned no hits');
-            return [];
         }
-        
-        // Convert Character Tavern format to our standard format
-        const characters = data.hits.map(char => {
-            return {
-                url: char.avatar_url || (char.path ? `https://cards.character-tavern.com/cdn-cgi/image/fit=scale-down,format=auto,width=600/${char.path}.png` : ''),
-                description: char.pageDescription || char.tagline || 'No description available',
-                name: char.name || 'Unknown Character',
-                fullPath: char.path || '',
-                fullUrl: char.path ? `https://character-tavern.com/character/${char.path}` : '',
-                cardDataUrl: char.path ? `https://corsproxy.io/?${encodeURIComponent(`https://cards.character-tavern.com/${char.path}.png?action=download`)}` : '',
-                author: char.author || 'Unknown',
-                authorUrl: char.author ? `https://character-tavern.com/author/${char.author}` : '',
-                starCount: char.likes || 0,
-                rating: 0, // Character Tavern doesn't have rating
-                ratingCount: 0,
-                nTokens: 0, // Not available in this API
-                forksCount: 0, // Not available in this API
-                nChats: char.messages || 0,
-                nMessages: char.messages || 0,
-                createdAt: char.createdAt ? new Date(char.createdAt * 1000).toISOString() : '',
-                lastActivityAt: char.lastUpdateAt ? new Date(char.lastUpdateAt * 1000).toISOString() : '',
-                avatar_url: char.avatar_url || (char.path ? `https://cards.character-tavern.com/cdn-cgi/image/fit=scale-down,format=auto,width=600/${char.path}.png` : ''),
-                max_res_url: char.avatar_url || (char.path ? `https://cards.character-tavern.com/cdn-cgi/image/fit=scale-down,format=auto,width=600/${char.path}.png` : ''),
-                verified: false, // Not available in this API
-                recommended: false, // Not available in this API
-                nsfw_image: char.isNSFW || false,
-                hasGallery: false, // Not available in this API
-                downloads: char.downloads || 0,
-                views: char.views || 0,
-                // Store original texts for hover display
-                originalName: char.name || 'Unknown Character',
-                originalDescription: char.pageDescription || char.tagline || 'No description available',
-                originalTags: char.tags ? [...char.tags, ...char.tags, ...char.tags] : [] // 原文, 译文, 值 (all same for Character Tavern)
-            };
-        });
-        
-        // Apply translations using the common function
-        return await applyTranslationsToCharacters(characters);
-        
-    } catch (error) {
-        console.error('Error fetching from Character Tavern API:', error);
-        return [];
     }
+
+    const isPrefix = (tag) => tag.name.toLowerCase().startsWith(needle);
+    const shown = [...suggestions.values()]
+        .sort((a, b) => (isPrefix(b) - isPrefix(a)) || ((b.count ?? -1) - (a.count ?? -1)) || a.name.localeCompare(b.name))
+        .slice(0, TAG_SUGGESTION_LIMIT);
+    // Only the suggestions shown are learned, a whole tag list would crowd out the tags in use
+    if (provider.fetchTags) {
+        shown.forEach(tag => learnTag(provider.id, tag.id, tag.name));
+    }
+    return shown;
 }
 
 /**
- * Fetches characters based on specified search criteria.
- * @param {Object} options - The search options object.
- * @param {string} [options.searchTerm] - A search term to filter characters by name/description.
- * @param {Array<string>} [options.includeTags] - A list of tags that the returned characters should include.
- * @param {Array<string>} [options.excludeTags] - A list of tags that the returned characters should not include.
- * @param {boolean} [options.nsfw] - Whether or not to include NSFW characters. Defaults to the extension settings.
- * @param {string} [options.sort] - The criteria by which to sort the characters. Default is by download count.
- * @param {number} [options.page=1] - The page number for pagination. Defaults to 1.
- * @returns {Promise<Array>} - Resolves with an array of character objects that match the search criteria.
+ * Normalizes a tag name for comparison: case, and spaces, dashes and underscores, are ignored.
+ * @param {string} name - The tag name.
+ * @returns {string} - The normalized name.
  */
-async function fetchCharactersBySearch({ searchTerm, includeTags, excludeTags, nsfw, sort, page=1 }) {
-    // Check which API provider to use
-    const apiProvider = extension_settings.chub.apiProvider || 'chub';
-    
-    if (apiProvider === 'janitor') {
-        return await fetchCharactersFromJanitor({ searchTerm, includeTags, excludeTags, nsfw, sort, page });
+function normalizeTagName(name) {
+    return String(name || '').toLowerCase().replace(/[\s_-]+/g, ' ').trim();
+}
+
+/**
+ * Gets the canonical key of a tag name, resolving the built-in and user-defined aliases. Tags with
+ * the same key are the same concept on every provider.
+ * @param {string} name - A tag name from any provider.
+ * @returns {string} - The canonical key.
+ */
+function canonicalTagKey(name) {
+    if (!tagAliasIndex) {
+        tagAliasIndex = new Map();
+        for (const [canonical, aliases] of Object.entries({ ...DEFAULT_TAG_ALIASES, ...extension_settings.chub.tagAliases })) {
+            const key = normalizeTagName(canonical);
+            tagAliasIndex.set(key, key);
+            aliases.forEach(alias => tagAliasIndex.set(normalizeTagName(alias), key));
+        }
     }
-    
-    if (apiProvider === 'aicc') {
-        return await fetchCharactersFromAICC({ page });
+    const normalized = normalizeTagName(name);
+    return tagAliasIndex.get(normalized) || normalized;
+}
+
+/**
+ * Adds a provider's identifier and name for a tag to the tag dictionary in memory.
+ * @param {string} providerId - The provider.
+ * @param {string} id - The identifier the provider searches with.
+ * @param {string} name - The readable name.
+ */
+function indexTag(providerId, id, name) {
+    if (!seenTags.has(providerId)) {
+        seenTags.set(providerId, new Map());
     }
-    
-    if (apiProvider === 'character-tavern') {
-        return await fetchCharactersFromCharacterTavern({ searchTerm, includeTags, excludeTags, nsfw, sort, page });
+    seenTags.get(providerId).set(id, name);
+
+    const key = canonicalTagKey(name);
+    if (!tagDictionary.has(key)) {
+        tagDictionary.set(key, { name, ids: new Map() });
     }
-    
-    // Default to CHub API
+    tagDictionary.get(key).ids.set(providerId, id);
+}
 
-    let first = extension_settings.chub.findCount;
-    let asc = false;
-    let include_forks = true;
-    nsfw = nsfw || extension_settings.chub.nsfw;  // Default to extension settings if not provided
-    let require_images = false;
-    let require_custom_prompt = false;
-    
-    // Translate Chinese search terms to English
-    let processedSearchTerm = searchTerm;
-    if (searchTerm && containsChinese(searchTerm) && extension_settings.chub.enableTranslation) {
-        console.log('Detected Chinese in search term, translating...');
-        processedSearchTerm = await translateToEnglish(searchTerm);
-        console.log(`Translated "${searchTerm}" to "${processedSearchTerm}"`);
+/**
+ * Records a provider's identifier and name for a tag in the tag dictionary, so the tag can be
+ * carried over to other providers. New tags are saved in `learnedTags` to survive a reload.
+ * @param {string} providerId - The provider.
+ * @param {string} id - The identifier the provider searches with.
+ * @param {string} name - The readable name.
+ */
+function learnTag(providerId, id, name) {
+    if (seenTags.get(providerId)?.get(id) === name) return;
+    indexTag(providerId, id, name);
+
+    const learned = extension_settings.chub.learnedTags;
+    const pairs = (learned[providerId] || []).filter(([learnedId]) => learnedId !== id);
+    pairs.push([id, name]);
+    learned[providerId] = pairs.slice(-LEARNED_TAG_LIMIT);
+    saveLearnedTags();
+}
+
+/**
+ * Fills the tag dictionary with the tags learned in earlier sessions, see learnTag.
+ */
+function restoreLearnedTags() {
+    tagDictionary.clear();
+    seenTags.clear();
+    for (const [providerId, pairs] of Object.entries(extension_settings.chub.learnedTags || {})) {
+        if (!Array.isArray(pairs)) continue;
+        pairs.forEach(([id, name]) => indexTag(providerId, String(id), String(name)));
     }
-    
-    searchTerm = processedSearchTerm ? `search=${encodeURIComponent(processedSearchTerm)}&` : '';
-    sort = sort || 'default';
+}
 
-    // Construct the URL with the search parameters, if any
-    // 
-    let url = `${API_ENDPOINT_SEARCH}?excludetopics&first=${first}&page=${page}&namespace=*&${searchTerm}include_forks=${include_forks}&nsfw=${nsfw}&nsfw_only=false&require_custom_prompt=${require_custom_prompt}&require_example_dialogues=false&require_images=${require_images}&require_expressions=false&nsfl=true&asc=${asc}&min_ai_rating=0&min_tokens=50&max_tokens=100000&chub=true&require_lore=false&exclude_mine=true&require_lore_embedded=false&require_lore_linked=false&sort=${sort}&min_tags=2&topics&inclusive_or=false&recommended_verified=false&require_alternate_greetings=false&count=false`;
+/**
+ * Looks up the identifier a provider uses for a canonical tag, from the tags seen so far.
+ * @param {string} providerId - The provider.
+ * @param {string} key - The canonical key (see canonicalTagKey).
+ * @returns {string|undefined} - The identifier, if known.
+ */
+function lookupTagId(providerId, key) {
+    return tagDictionary.get(key)?.ids.get(providerId);
+}
 
-    //truncate include and exclude tags to 100 characters
-    includeTags = includeTags.filter(tag => tag.length > 0);
-    if (includeTags && includeTags.length > 0) {
-        //includeTags = makeTagPermutations(includeTags);
-        includeTags = includeTags.join(',').slice(0, 100);
-        url += `&topics=${encodeURIComponent(includeTags)}`;
+/**
+ * Translates a tag identifier of one provider to the identifier another provider searches with.
+ * Unknown tags are looked up in the target's tag vocabulary, and otherwise passed on by name,
+ * unless the target only searches by tag id.
+ * @param {string} id - The tag identifier.
+ * @param {string} fromProvider - The provider the identifier belongs to.
+ * @param {string} toProvider - The provider to translate to.
+ * @returns {Promise<string|null>} - The identifier for `toProvider`, null if it has no such tag.
+ */
+async function translateTag(id, fromProvider, toProvider) {
+    if (fromProvider === toProvider) return id;
+
+    const name = getTagLabel(fromProvider, id);
+    const key = canonicalTagKey(name);
+    const known = lookupTagId(toProvider, key);
+    if (known) return known;
+
+    if (getProvider(toProvider).fetchTags) {
+        const match = (await suggestTags(toProvider, name)).find(tag => canonicalTagKey(tag.name) === key);
+        if (match) return match.id;
     }
-    //remove tags that contain no characters
-    excludeTags = excludeTags.filter(tag => tag.length > 0);
-    if (excludeTags && excludeTags.length > 0) {
-        //excludeTags = makeTagPermutations(excludeTags);
-        excludeTags = excludeTags.join(',').slice(0, 100);
-        url += `&excludetopics=${encodeURIComponent(excludeTags)}`;
+    return getProvider(toProvider).tagsById ? null : tagDictionary.get(key)?.name || name;
+}
+
+/**
+ * Translates the include and exclude tags of the tag pickers after the provider was switched.
+ * Tags the new provider does not have are removed, with a warning.
+ * @param {string} fromProvider - The previously selected provider.
+ * @param {string} toProvider - The newly selected provider.
+ * @returns {Promise<void>}
+ */
+async function carryTagsOver(fromProvider, toProvider) {
+    const dropped = [];
+    for (const kind of ['include', 'exclude']) {
+        const picked = getPickedTags(kind);
+        const ids = await Promise.all(picked.map(id => translateTag(id, fromProvider, toProvider)));
+        ids.forEach((id, i) => {
+            if (id === null) dropped.push(getTagLabel(fromProvider, picked[i]));
+        });
+        document.getElementById(`${kind}Tags`).value = [...new Set(ids.filter(id => id !== null))].join(', ');
+        renderTagChips(kind);
+    }
+    if (dropped.length > 0) {
+        toastr.warning(dropped.join(', '), `Tags not found on ${getProvider(toProvider).name}, removed from the search`);
     }
+}
 
-    let searchResponse = await fetch(url);
+/**
+ * Gets the picked include tags as identifiers and canonical keys, for highlighting the matching
+ * tags of results from any provider.
+ * @returns {Array<string>} - The identifiers and keys.
+ */
+function getSelectedTagKeys() {
+    const includeTagsInput = document.getElementById('includeTags');
+    if (!includeTagsInput) return [];
+    const ids = getPickedTags('include');
+    return [...ids, ...ids.map(id => canonicalTagKey(getTagLabel(extension_settings.chub.apiProvider, id)))];
+}
 
-    let searchData = await searchResponse.json();
+/**
+ * Reads the tag identifiers held by a tag picker.
+ * @param {string} kind - "include" or "exclude".
+ * @returns {Array<string>} - The identifiers.
+ */
+function getPickedTags(kind) {
+    return document.getElementById(`${kind}Tags`).value.split(',').map(tag => tag.trim()).filter(tag => tag);
+}
+
+/**
+ * Renders the removable chips of a tag picker from its hidden input.
+ * @param {string} kind - "include" or "exclude".
+ */
+function renderTagChips(kind) {
+    const chips = document.getElementById(`${kind}TagChips`);
+    if (!chips) return;
 
-    // Clear previous search results
-    chubCharacters = [];
+    const providerId = extension_settings.chub.apiProvider;
+    chips.innerHTML = getPickedTags(kind).map(id => {
+        const label = getTagLabel(providerId, id);
+        return `<span class="tag-chip" data-value="${escapeHtml(id)}" title="${label !== id ? escapeHtml(id) : ''}">${escapeHtml(label)} <i class="fa-solid fa-xmark"></i></span>`;
+    }).join('');
+}
 
-    // Handle new response structure with data.nodes
-    const nodes = searchData.data ? searchData.data.nodes : searchData.nodes;
-    
-    if (!nodes || nodes.length === 0) {
-        return chubCharacters;
-    }
-    let charactersPromises = nodes.map(node => getCharacter(node.fullPath));
-    let characterBlobs = await Promise.all(charactersPromises);
+/**
+ * Sets the tags of a tag picker and runs the search by firing `change` on its hidden input.
+ * @param {string} kind - "include" or "exclude".
+ * @param {Array<string>} ids - The tag identifiers.
+ */
+function setPickedTags(kind, ids) {
+    const input = document.getElementById(`${kind}Tags`);
+    input.value = [...new Set(ids)].join(', ');
+    renderTagChips(kind);
+    input.dispatchEvent(new Event('change'));
+}
+
+/**
+ * Wires up a tag picker: suggestions while typing, arrow keys and Enter to pick one, and removing
+ * chips by clicking them or with Backspace. Text without a suggestion is added as typed, unless the
+ * provider only searches by tag id.
+ * @param {string} kind - "include" or "exclude".
+ */
+function initTagPicker(kind) {
+    const input = document.getElementById(`${kind}TagPicker`);
+    const list = document.getElementById(`${kind}TagSuggestions`);
+    const chips = document.getElementById(`${kind}TagChips`);
+    let suggestions = [];
+    let active = -1;
+
+    const close = () => {
+        suggestions = [];
+        active = -1;
+        list.style.display = 'none';
+    };
+    const render = () => {
+        list.innerHTML = suggestions.map((tag, i) => `
+            <li class="tag-suggestion${i === active ? ' active' : ''}" data-index="${i}">
+                <span>${escapeHtml(tag.name)}</span>
+                ${tag.count !== null ? `<small>${tag.count.toLocaleString()}</small>` : ''}
+            </li>
+        `).join('');
+        list.style.display = suggestions.length > 0 ? '' : 'none';
+    };
+    const pick = (id) => {
+        input.value = '';
+        close();
+        setPickedTags(kind, [...getPickedTags(kind), id]);
+    };
+    const suggest = debounce(async () => {
+        const query = input.value;
+        const result = await suggestTags(extension_settings.chub.apiProvider, query);
+        if (input.value !== query) return;
+        suggestions = result;
+        active = -1;
+        render();
+    }, 300);
+
+    input.addEventListener('input', suggest);
+    input.addEventListener('blur', () => setTimeout(close, 150));
+    input.addEventListener('keydown', (event) => {
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            if (suggestions.length === 0) return;
+            event.preventDefault();
+            active = (active + (event.key === 'ArrowDown' ? 1 : -1) + suggestions.length) % suggestions.length;
+            render();
+        } else if (event.key === 'Enter') {
+            event.preventDefault();
+            const text = input.value.trim();
+            const exact = suggestions.find(tag => tag.name.toLowerCase() === text.toLowerCase());
+            const tag = suggestions[active] || exact;
+            const provider = getProvider(extension_settings.chub.apiProvider);
+            if (tag) {
+                pick(tag.id);
+            } else if (text && provider.tagsById) {
+                // The search would silently match nothing
+                toastr.warning(`"${text}" is not a ${provider.name} tag, pick one of the suggestions`);
+            } else if (text) {
+                pick(text);
+            }
+        } else if (event.key === 'Escape') {
+            close();
+        } else if (event.key === 'Backspace' && !input.value) {
+            const tags = getPickedTags(kind);
+            if (tags.length > 0) setPickedTags(kind, tags.slice(0, -1));
+        }
+    });
+    // mousedown rather than click, the input's blur would close the list first
+    list.addEventListener('mousedown', (event) => {
+        const item = event.target.closest('.tag-suggestion');
+        if (!item) return;
+        event.preventDefault();
+        pick(suggestions[Number(item.getAttribute('data-index'))].id);
+    });
+    chips.addEventListener('click', (event) => {
+        const chip = event.target.closest('.tag-chip');
+        if (!chip || input.disabled) return;
+        setPickedTags(kind, getPickedTags(kind).filter(id => id !== chip.getAttribute('data-value')));
+    });
+}
+
+/**
+ * Lists the local result filters that are set for a search.
+ * @param {Object} options - The search options.
+ * @returns {Array<string>} - Keys of LOCAL_FILTER_LABELS.
+ */
+function getActiveLocalFilters(options) {
+    const filters = extension_settings.chub.localFilters;
+    return Object.keys(LOCAL_FILTER_LABELS).filter(key => ({
+        excludeTags: (options.excludeTags || []).some(tag => tag),
+        tokens: filters.minTokens > 0 || filters.maxTokens > 0,
+        createdAfter: !!filters.createdAfter,
+        minStars: filters.minStars > 0,
+        minChats: filters.minChats > 0,
+        requireDownload: filters.requireDownload
+    })[key]);
+}
+
+/**
+ * Checks a result against the local filters. Excluded tags are only checked for providers that
+ * ignore them, and a provider's results are not judged on fields it does not report.
+ * @param {Object} character - The normalized character object.
+ * @param {Object} options - The search options.
+ * @returns {Array<string>} - Keys of the filters the result fails, empty if it is shown.
+ */
+function getLocalFilterFailures(character, options) {
+    const filters = extension_settings.chub.localFilters;
+    const provider = getProvider(character.provider);
+    const reports = (field) => provider.reportedFields.includes(field);
+    const failures = [];
 
-    // First, collect all text that needs translation
-    const textsToTranslate = new Set();
-    const textMapping = new Map(); // Map original text to its usage info
-    
-    nodes.forEach((node, i) => {
-        // Collect names
-        if (node.name && !containsChinese(node.name)) {
-            textsToTranslate.add(node.name);
-            textMapping.set(node.name, { type: 'name', index: i });
+    const excludeTags = (options.excludeTags || []).filter(tag => tag);
+    if (excludeTags.length > 0 && !provider.filters.excludeTags && provider.localExcludeTags && Array.isArray(character.originalTags)) {
+        const third = character.originalTags.length / 3;
+        const values = new Set(character.originalTags.slice(third * 2).map(String));
+        const keys = new Set(character.originalTags.slice(0, third).map(canonicalTagKey));
+        if (excludeTags.some(tag => values.has(tag) || keys.has(canonicalTagKey(getTagLabel(extension_settings.chub.apiProvider, tag))))) {
+            failures.push('excludeTags');
         }
-        
-        // Collect descriptions
-        const description = node.tagline || node.description || "Description here...";
-        if (description && !containsChinese(description)) {
-            textsToTranslate.add(description);
-            textMapping.set(description, { type: 'description', index: i });
+    }
+    if ((filters.minTokens > 0 || filters.maxTokens > 0) && reports('nTokens')) {
+        const tokens = character.nTokens || 0;
+        if (tokens < filters.minTokens || (filters.maxTokens > 0 && tokens > filters.maxTokens)) {
+            failures.push('tokens');
         }
-        
-        // Collect tags
-        if (node.topics && Array.isArray(node.topics)) {
-            node.topics.forEach(tag => {
-                if (tag && !containsChinese(tag)) {
-                    textsToTranslate.add(tag);
-                    if (!textMapping.has(tag)) {
-                        textMapping.set(tag, { type: 'tag', indices: [] });
-                    }
-                    textMapping.get(tag).indices.push(i);
-                }
-            });
+    }
+    if (filters.createdAfter && reports('createdAt')) {
+        const createdAt = Date.parse(character.createdAt);
+        if (!Number.isNaN(createdAt) && createdAt < Date.parse(filters.createdAfter)) {
+            failures.push('createdAfter');
         }
-    });
+    }
+    if (filters.minStars > 0 && reports('starCount') && (character.starCount || 0) < filters.minStars) {
+        failures.push('minStars');
+    }
+    if (filters.minChats > 0 && reports('nChats') && (character.nChats || 0) < filters.minChats) {
+        failures.push('minChats');
+    }
+    const downloadable = character.downloadable !== false && (!!character.cardDataUrl || !!provider.fetchCard);
+    if (filters.requireDownload && (character.contentType || 'characters') === 'characters' && !downloadable) {
+        failures.push('requireDownload');
+    }
+    return failures;
+}
 
-    // Build final character list
-    chubCharacters = nodes.map((node, i) => {
-        const originalName = node.name;
-        const originalDescription = node.tagline || node.description || "Description here...";
-        const originalTags = node.topics || [];
-        
-        // Extract tag texts, names, and values for CHub
-        const tagTexts = [...originalTags]; // 原文
-        const tagNames = [...originalTags]; // 译文（翻译后）
-        const tagValues = [...originalTags]; // 值（用于搜索）
+/**
+ * Applies the local filters to fetched results.
+ * @param {Array} characters - Normalized character objects, before duplicates are merged.
+ * @param {Object} options - The search options.
+ * @returns {Array} - The results that pass every filter.
+ */
+function applyLocalFilters(characters, options) {
+    if (getActiveLocalFilters(options).length === 0) {
+        return characters;
+    }
+    return characters.filter(character => getLocalFilterFailures(character, options).length === 0);
+}
 
-        const character = {
-            url: URL.createObjectURL(characterBlobs[i]),
-            description: originalDescription,
-            name: originalName,
-            fullPath: node.fullPath,
-            fullUrl: `https://chub.ai/characters/${node.fullPath}`,
-            author: node.fullPath.split('/')[0],
-            authorUrl: `https://chub.ai/users/${node.fullPath.split('/')[0]}`,
-            starCount: node.starCount || 0,
-            rating: node.rating || 0,
-            ratingCount: node.ratingCount || 0,
-            nTokens: node.nTokens || 0,
-            forksCount: node.forksCount || 0,
-            nChats: node.nChats || 0,
-            nMessages: node.nMessages || 0,
-            createdAt: node.createdAt,
-            lastActivityAt: node.lastActivityAt,
-            avatar_url: node.avatar_url,
-            max_res_url: node.max_res_url,
-            verified: node.verified || false,
-            recommended: node.recommended || false,
-            nsfw_image: node.nsfw_image || false,
-            hasGallery: node.hasGallery || false,
-            // Store original texts for hover display
-            originalName: originalName,
-            originalDescription: originalDescription,
-            originalTags: [...tagTexts, ...tagNames, ...tagValues] // 原文, 译文, 值
-        };
+/**
+ * Shows which of the active filters the providers applied and which were applied locally, and
+ * how many of the fetched results the local filters hid.
+ */
+function updateLocalFilterSummary() {
+    const summary = document.getElementById('localFilterSummary');
+    if (!summary) return;
 
-        return character;
-    });
+    const options = currentSearch ? currentSearch.options : null;
+    const active = options ? getActiveLocalFilters(options) : [];
+    if (active.length === 0 || searchResults.length === 0) {
+        summary.textContent = '';
+        summary.title = '';
+        return;
+    }
 
-    // Apply translations using the common function
-    return await applyTranslationsToCharacters(chubCharacters);
+    const hiddenBy = {};
+    let hidden = 0;
+    for (const character of searchResults) {
+        const failures = getLocalFilterFailures(character, options);
+        failures.forEach(key => hiddenBy[key] = (hiddenBy[key] || 0) + 1);
+        if (failures.length > 0) hidden++;
+    }
+
+    // Excluded tags are applied by the providers that support them, everything else only here
+    const resultProviders = [...new Set(searchResults.map(character => character.provider))].map(getProvider);
+    const byProvider = active.includes('excludeTags') ? resultProviders.filter(provider => provider.filters.excludeTags) : [];
+    const ignoredBy = active.includes('excludeTags') ? resultProviders.filter(provider => !provider.filters.excludeTags && provider.localExcludeTags) : [];
+    const local = active.filter(key => key !== 'excludeTags' || ignoredBy.length > 0)
+        .map(key => key === 'excludeTags' ? `${LOCAL_FILTER_LABELS[key]} (${ignoredBy.map(provider => provider.name).join(', ')})` : LOCAL_FILTER_LABELS[key]);
+
+    summary.textContent = [
+        byProvider.length > 0 ? `By ${byProvider.map(provider => provider.name).join(', ')}: ${LOCAL_FILTER_LABELS.excludeTags}` : '',
+        local.length > 0 ? `Locally: ${local.join(', ')}` : '',
+        `${hidden} hidden`
+    ].filter(Boolean).join(' · ');
+    summary.title = active.filter(key => key !== 'excludeTags' || ignoredBy.length > 0)
+        .map(key => `${LOCAL_FILTER_LABELS[key]}: ${hiddenBy[key] || 0} hidden`)
+        .concat('Results are not filtered on values their source does not report')
+        .join('\n');
 }
 
 /**
- * Searches for characters based on the provided options and manages the UI during the search.
- * @param {Object} options - The search criteria/options for fetching characters.
- * @returns {Promise<Array>} - Resolves with an array of character objects that match the search criteria.
+ * Applies changed local filters to the results fetched so far, without searching again.
+ * @returns {Promise<void>}
  */
-async function searchCharacters(options) {
-    if (characterListContainer && !document.body.contains(characterListContainer)) {
-        console.log('Character list container is not in the DOM, removing reference');
-        characterListContainer = null;
-    }
-    // grey out the character-list-popup while we're searching
-    if (characterListContainer) {
-        characterListContainer.classList.add('searching');
+async function refilterResults() {
+    if (!currentSearch) return;
+
+    const generation = searchGeneration;
+    let characters = applyLocalFilters(searchResults, currentSearch.options);
+    if (extension_settings.chub.mergeDuplicates && characters.length > 0) {
+        characters = await groupDuplicateCharacters(characters);
     }
-    console.log('Searching for characters', options);
-    const characters = await fetchCharactersBySearch(options);
-    if (characterListContainer) {
-        characterListContainer.classList.remove('searching');
+    if (generation !== searchGeneration) return;
+
+    chubCharacters = characters;
+    updateLocalFilterSummary();
+    if (characters.length > 0) {
+        updateCharacterListInView(characters);
+    } else {
+        releaseThumbnails();
+        characterListContainer.innerHTML = '<div class="no-characters-found">No characters found</div>';
     }
+}
 
-    return characters;
+/**
+ * Sets the local filter controls (marked with `data-local-filter`) from the settings.
+ */
+function writeLocalFilterInputs() {
+    document.querySelectorAll('[data-local-filter]').forEach(input => {
+        const value = extension_settings.chub.localFilters[input.dataset.localFilter];
+        if (input.type === 'checkbox') {
+            input.checked = !!value;
+        } else {
+            input.value = value || (input.type === 'number' ? 0 : '');
+        }
+    });
 }
 
 /**
@@ -1204,14 +4804,57 @@ function openSearchPopup() {
  * @returns {Promise<void>} - Resolves once the character list has been updated in the view.
  */
 async function executeCharacterSearch(options) {
+    const generation = ++searchGeneration;
+    currentSearch = null; // Partial results must not load further pages of the previous search
+    recordSearchHistory(options);
+    markCreatorSeen(options);
+
+    // Show partial results while an "All sources" search is still waiting on slower sources
+    const onProgress = async (partialCharacters) => {
+        partialCharacters = applyLocalFilters(partialCharacters, options);
+        if (generation !== searchGeneration || partialCharacters.length === 0) return;
+        if (extension_settings.chub.mergeDuplicates) {
+            partialCharacters = await groupDuplicateCharacters(partialCharacters, false);
+        }
+        if (generation !== searchGeneration) return;
+        chubCharacters = partialCharacters;
+        updateCharacterListInView(partialCharacters);
+    };
+
     let characters  = []
-    characters = await searchCharacters(options);
+    const result = await searchCharacters({ ...options, onProgress });
+    recordSeenTags(result.characters);
+    characters = applyLocalFilters(result.characters, options);
+    if (extension_settings.chub.mergeDuplicates && characters.length > 0) {
+        characters = await groupDuplicateCharacters(characters);
+    }
+    if (generation !== searchGeneration) {
+        return;
+    }
+    chubCharacters = characters;
+    searchResults = result.characters;
+    const page = Number(options.page) || 1;
+    // Earlier pages count at the size the source was asked for, results dropped after fetching do not shift them
+    const provider = getProvider(extension_settings.chub.apiProvider);
+    const pageSize = provider.filters.pageSize ? extension_settings.chub.findCount : result.characters.length;
+    const loaded = (page - 1) * pageSize + result.characters.length;
+    currentSearch = {
+        options,
+        page,
+        total: result.total,
+        loaded,
+        exhausted: result.characters.length === 0 || (result.total !== null && loaded >= result.total),
+        loading: false
+    };
+    updateResultCount();
+    updateLocalFilterSummary();
 
     if (characters && characters.length > 0) {
         console.log('Updating character list');
         updateCharacterListInView(characters);
     } else {
         console.log('No characters found');
+        releaseThumbnails();
         characterListContainer.innerHTML = '<div class="no-characters-found">No characters found</div>';
     }
 }
@@ -1221,16 +4864,34 @@ async function executeCharacterSearch(options) {
  * Generates the HTML structure for a character list item.
  * @param {Object} character - The character data object with properties like url, name, description, tags, and author.
  * @param {number} index - The index of the character in the list.
- * @param {Array<string>} selectedTags - Array of currently selected tags for highlighting.
+ * @param {Array<string>} selectedTags - Array of currently selected tags for highlighting, see getSelectedTagKeys.
+ * @param {boolean} showProvider - Whether to badge the item with the provider it came from.
  * @returns {string} - Returns an HTML string representation of the character list item.
  */
-function generateCharacterListItem(character, index, selectedTags = []) {
+function generateCharacterListItem(character, index, selectedTags = [], showProvider = false) {
     const ratingStars = character.rating ? '★'.repeat(Math.floor(character.rating)) + '☆'.repeat(5 - Math.floor(character.rating)) : '';
     const ratingText = character.ratingCount > 0 ? `${ratingStars} (${character.ratingCount})` : '';
     const tokenText = character.nTokens ? `${character.nTokens} tokens` : '';
     const starText = character.starCount ? `⭐ ${character.starCount}` : '';
     const chatText = character.nChats ? `💬 ${character.nChats}` : '';
     const forkText = character.forksCount ? `🍴 ${character.forksCount}` : '';
+    const contentType = character.contentType || 'characters';
+    const isCharacter = contentType === 'characters';
+    const entryText = contentType === 'lorebooks' && character.entryCount !== null && character.entryCount !== undefined ? `📖 ${character.entryCount} entries` : '';
+    const installedMatch = isCharacter ? findInstalledCharacter(character) : null;
+
+    // Merged duplicates list every copy so the user can pick which one to import
+    const sourcesElement = character.sources && character.sources.length > 1
+        ? `<div class="sources">Available from: ${character.sources.map((source, sourceIndex) => {
+            const sourceStats = [
+                source.starCount ? `⭐ ${source.starCount}` : '',
+                source.nChats ? `💬 ${source.nChats}` : '',
+                source.cardDataUrl ? 'direct' : ''
+            ].filter(Boolean).join(' · ');
+            const sourceLabel = `${getProvider(source.provider).name}${source.author !== character.author ? ` (${source.author})` : ''}`;
+            return `<span class="source-download" data-source-index="${sourceIndex}" title="Import from ${source.fullUrl}"><i class="fa-solid fa-cloud-arrow-down"></i> ${sourceLabel}${sourceStats ? ` <small>${sourceStats}</small>` : ''}</span>`;
+        }).join('')}</div>`
+        : '';
     
     // Generate name with hover tooltip for original text
     const nameElement = character.nameTranslated 
@@ -1281,8 +4942,8 @@ function generateCharacterListItem(character, index, selectedTags = []) {
         }
         processedTags.add(tagText);
         
-        // Use dataValue (English) for comparison with selectedTags
-        const isSelected = selectedTags.includes(tagDataValue);
+        // Use dataValue (English) for comparison with selectedTags, or the canonical tag for tags picked on another provider
+        const isSelected = selectedTags.includes(tagDataValue) || selectedTags.includes(canonicalTagKey(tagOriginal));
         const selectedClass = isSelected ? ' tag-selected' : '';
         
         if (typeof tag === 'object' && tag.translated) {
@@ -1297,27 +4958,246 @@ function generateCharacterListItem(character, index, selectedTags = []) {
     
     return `
         <div class="character-list-item" data-index="${index}">
-            <img class="thumbnail" src="${character.url}">
+            ${isCharacter ? `<input type="checkbox" class="select-character" title="Select for bulk import" ${selectedCharacters.has(getCharacterKey(character)) ? 'checked' : ''}>` : ''}
+            <img class="thumbnail" src="${DEFAULT_AVATAR_URL}" data-src="${character.url || DEFAULT_AVATAR_URL}" data-provider="${character.provider || ''}">
             <div class="info">
                 <div class="character-header">
                     ${nameElement}
-                    <a href="${character.authorUrl}" target="_blank" class="author">by ${character.author}</a>
+                    ${showProvider && character.provider ? `<span class="provider-badge" data-provider="${character.provider}">${getProvider(character.provider).name}</span>` : ''}
+                    ${!isCharacter ? `<span class="content-type-badge">${contentType === 'lorebooks' ? 'Lorebook' : 'Preset'}</span>` : ''}
+                    <a href="${character.authorUrl}" target="_blank" class="author" title="${character.authorId && getProvider(character.provider).filters.author ? 'Show this creator\'s cards' : ''}">by ${character.author}</a>
+                    ${installedMatch ? generateInstalledBadge(installedMatch) : ''}
+                    ${isCharacter && isNewFromFollowedCreator(character) ? '<span class="new-badge" title="Published since you last viewed this followed creator">New</span>' : ''}
                 </div>
                 <div class="character-stats">
                     ${ratingText ? `<span class="rating">${ratingText}</span>` : ''}
                     ${starText ? `<span class="stars">${starText}</span>` : ''}
+                    ${entryText ? `<span class="entries">${entryText}</span>` : ''}
                     ${tokenText ? `<span class="tokens">${tokenText}</span>` : ''}
-                    ${chatText ? `<span class="chats">${chatText}</span>` : ''}
+                    ${isCharacter && chatText ? `<span class="chats">${chatText}</span>` : ''}
                     ${forkText ? `<span class="forks">${forkText}</span>` : ''}
                 </div>
                 ${descriptionElement}
+                ${sourcesElement}
                 <div class="tags">${tagsElement}</div>
                 ${character.verified ? '<span class="verified-badge">✓ Verified</span>' : ''}
                 ${character.recommended ? '<span class="recommended-badge">⭐ Recommended</span>' : ''}
             </div>
-            <div data-path="${character.fullUrl}" data-card-data-url="${character.cardDataUrl || ''}" class="menu_button download-btn fa-solid fa-cloud-arrow-down faSmallFontSquareFix"></div>
+            <div class="character-actions">
+                <div class="menu_button favorite-btn ${findFavorite(character) ? 'fa-solid' : 'fa-regular'} fa-star faSmallFontSquareFix" title="Add to or remove from favorites"></div>
+                ${isCharacter ? '<div class="menu_button preview-btn fa-solid fa-eye faSmallFontSquareFix" title="Preview card"></div>' : ''}
+                <div data-path="${character.fullUrl}" data-card-data-url="${character.cardDataUrl || ''}" class="menu_button download-btn fa-solid fa-cloud-arrow-down faSmallFontSquareFix" title="${{ lorebooks: 'Import as World Info', presets: 'Import preset' }[contentType] || 'Import'}"></div>
+            </div>
+        </div>
+    `;
+}
+
+
+/**
+ * Escapes text for use in HTML markup.
+ * @param {string} text - The text to escape.
+ * @returns {string} - The escaped text.
+ */
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Opens a dialog layered over the search popup. SillyTavern's callPopup cannot be nested, and the
+ * search popup is modal, so the overlay is placed inside it when it is open.
+ * @param {string} title - The dialog title.
+ * @param {string} contentHtml - The initial dialog body.
+ * @param {Array<{label: string, value: string}>} [buttons] - Footer buttons; clicking one closes the dialog with its value.
+ * @returns {{element: HTMLElement, content: HTMLElement, close: function(string=): void, result: Promise<string|null>}} - The dialog handle. `result` resolves with the clicked button value, or null if dismissed.
+ */
+function openOverlayDialog(title, contentHtml, buttons = []) {
+    const overlay = document.createElement('div');
+    overlay.className = 'chub-overlay';
+    overlay.innerHTML = `
+        <div class="chub-overlay-dialog">
+            <div class="chub-overlay-header">
+                <h3>${escapeHtml(title)}</h3>
+                <div class="menu_button fa-solid fa-xmark chub-overlay-close" title="Close"></div>
+            </div>
+            <div class="chub-overlay-content">${contentHtml}</div>
+            <div class="chub-overlay-buttons">
+                ${buttons.map(button => `<div class="menu_button" data-value="${escapeHtml(button.value)}">${escapeHtml(button.label)}</div>`).join('')}
+            </div>
+        </div>
+    `;
+
+    let resolveResult;
+    const result = new Promise(resolve => resolveResult = resolve);
+    const close = (value = null) => {
+        overlay.remove();
+        resolveResult(value);
+    };
+
+    overlay.addEventListener('click', (event) => {
+        if (event.target === overlay || event.target.closest('.chub-overlay-close')) {
+            close();
+            return;
+        }
+        const button = event.target.closest('.chub-overlay-buttons [data-value]');
+        if (button && !button.classList.contains('disabled')) {
+            close(button.getAttribute('data-value'));
+        }
+    });
+
+    const host = characterListContainer?.closest('dialog') || document.body;
+    host.appendChild(overlay);
+
+    return { element: overlay, content: overlay.querySelector('.chub-overlay-content'), close, result };
+}
+
+/**
+ * Reads the card embedded in a downloaded card file, PNG or JSON.
+ * @param {Blob} cardBlob - The card file.
+ * @returns {Promise<Object>} - The card object. Rejects if the file carries no card data.
+ */
+async function parseCardBlob(cardBlob) {
+    const buffer = await cardBlob.arrayBuffer();
+    const bytes = new Uint8Array(buffer);
+    if (PNG_SIGNATURE.every((byte, i) => bytes[i] === byte)) {
+        const card = readCardFromPng(buffer);
+        if (!card) {
+            throw new Error('The image carries no character data');
+        }
+        return card;
+    }
+    return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+/**
+ * Renders the full content of a card for the preview dialog.
+ * @param {Object} card - A V1, V2 or V3 card object.
+ * @returns {string} - The HTML for the dialog body.
+ */
+function generateCardPreview(card) {
+    const definition = normalizeCardDefinition(card);
+    const section = (title, text) => text && String(text).trim()
+        ? `<div class="preview-section"><h4>${title}</h4><div class="preview-text">${escapeHtml(text)}</div></div>`
+        : '';
+
+    const greetings = definition.alternate_greetings
+        .map((greeting, i) => section(`Alternate Greeting ${i + 1}`, greeting))
+        .join('');
+
+    const entries = definition.character_book?.entries || [];
+    const lorebook = entries.length > 0
+        ? `<div class="preview-section">
+            <h4>Lorebook (${entries.length} ${entries.length === 1 ? 'entry' : 'entries'})</h4>
+            ${entries.map(entry => `
+                <details class="preview-lorebook-entry">
+                    <summary>${escapeHtml(entry.comment || entry.name || (entry.keys || []).join(', ') || 'Entry')}</summary>
+                    ${(entry.keys || []).length > 0 ? `<div class="preview-lorebook-keys">Keys: ${escapeHtml(entry.keys.join(', '))}</div>` : ''}
+                    <div class="preview-text">${escapeHtml(entry.content)}</div>
+                </details>
+            `).join('')}
+        </div>`
+        : '';
+
+    return `
+        ${definition.tags.length > 0 ? `<div class="tags">${definition.tags.map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join('')}</div>` : ''}
+        ${section('Description', definition.description)}
+        ${section('Personality', definition.personality)}
+        ${section('Scenario', definition.scenario)}
+        ${section('First Message', definition.first_mes)}
+        ${greetings}
+        ${section('Example Dialogue', definition.mes_example)}
+        ${section('Creator Notes', definition.creator_notes)}
+        ${lorebook}
+    `;
+}
+
+/**
+ * Downloads a character's card, shows its full content and offers to import the downloaded card.
+ * Providers with a version history let the user pick the revision to preview and import.
+ * @param {Object} character - The normalized character object.
+ * @returns {Promise<void>} - Resolves once the dialog is closed.
+ */
+async function previewCharacter(character) {
+    const provider = getProvider(character.provider);
+    const dialog = openOverlayDialog(character.name, '<div class="preview-loading"><i class="fa-solid fa-spinner fa-spin"></i> Downloading card...</div>', [
+        { label: 'Import', value: 'import' },
+        { label: 'Close', value: 'close' }
+    ]);
+    const importButton = dialog.element.querySelector('[data-value="import"]');
+    importButton.classList.add('disabled');
+
+    let cardBlob = null;
+    let avatarUrl = null;
+    let selectedCharacter = character;
+
+    const loadCard = async (target) => {
+        importButton.classList.add('disabled');
+        try {
+            const blob = await fetchCharacterCard(target);
+            const card = await parseCardBlob(blob);
+            if (target !== selectedCharacter) return; // another version was selected meanwhile
+
+            cardBlob = blob;
+            if (avatarUrl) {
+                URL.revokeObjectURL(avatarUrl);
+            }
+            avatarUrl = URL.createObjectURL(cardBlob);
+            dialog.content.querySelector('.preview-avatar').src = avatarUrl;
+            dialog.content.querySelector('.preview-header .name').textContent = normalizeCardDefinition(card).name || character.name;
+            dialog.content.querySelector('.preview-card').innerHTML = generateCardPreview(card);
+            importButton.classList.remove('disabled');
+        } catch (error) {
+            console.error('Error previewing character:', error);
+            cardBlob = null;
+            dialog.content.querySelector('.preview-card').innerHTML = `<div class="preview-error">Could not load the card: ${escapeHtml(error.message)}</div>`;
+        }
+    };
+
+    dialog.content.innerHTML = `
+        <div class="preview-header">
+            <img class="preview-avatar" src="${character.avatar_url || DEFAULT_AVATAR_URL}">
+            <div>
+                <a href="${character.fullUrl}" target="_blank" class="name">${escapeHtml(character.name)}</a>
+                <div class="author">by ${escapeHtml(character.author)} · ${escapeHtml(provider.name)}</div>
+                <div class="preview-versions"></div>
+            </div>
         </div>
+        <div class="preview-card"><div class="preview-loading"><i class="fa-solid fa-spinner fa-spin"></i> Downloading card...</div></div>
     `;
+
+    if (provider.fetchVersions) {
+        provider.fetchVersions(character).then(versions => {
+            if (versions.length < 2) return;
+            const versionsContainer = dialog.content.querySelector('.preview-versions');
+            versionsContainer.innerHTML = `
+                <label>Version:
+                    <select class="version-select margin0">
+                        <option value="">Latest</option>
+                        ${versions.map(version => `<option value="${escapeHtml(version.id)}" title="${escapeHtml(version.message)}">${escapeHtml(version.date ? new Date(version.date).toLocaleString() : version.label)} · ${escapeHtml(version.message || version.label)}</option>`).join('')}
+                    </select>
+                </label>
+            `;
+            versionsContainer.querySelector('.version-select').addEventListener('change', (event) => {
+                selectedCharacter = event.target.value ? { ...character, version: event.target.value } : character;
+                dialog.content.querySelector('.preview-card').innerHTML = '<div class="preview-loading"><i class="fa-solid fa-spinner fa-spin"></i> Downloading card...</div>';
+                loadCard(selectedCharacter);
+            });
+        }).catch(error => console.warn('Could not load the version history:', character.fullPath, error));
+    }
+
+    await loadCard(selectedCharacter);
+
+    const choice = await dialog.result;
+    if (avatarUrl) {
+        URL.revokeObjectURL(avatarUrl);
+    }
+    if (choice === 'import' && cardBlob) {
+        await importCharacterCard(selectedCharacter, cardBlob);
+    }
 }
 
 
@@ -1352,8 +5232,8 @@ async function displayCharactersInListViewPopup() {
     }
 
     // Get current API provider for sort options
-    const currentApiProvider = extension_settings.chub.apiProvider || 'chub';
-    const readableOptions = sortOptions[currentApiProvider] || sortOptions.chub;
+    const currentApiProvider = getProvider(extension_settings.chub.apiProvider);
+    const readableOptions = currentApiProvider.sortOptions;
 
     // TODO: This should be a template
     const listLayout = popupState ? popupState : `
@@ -1361,6 +5241,15 @@ async function displayCharactersInListViewPopup() {
         <div class="character-list-popup">
             ${chubCharacters.map((character, index) => generateCharacterListItem(character, index, [])).join('')}
         </div>
+        <div class="bulk-import-bar flex-container flex-no-wrap flex-align-center">
+            <label for="selectAllCheckbox" class="flex-container flex-no-wrap flex-align-center">
+                <input type="checkbox" id="selectAllCheckbox"> Select all on page
+            </label>
+            <div class="menu_button" id="importSelectedButton">Import selected (<span id="selectedCount">${selectedCharacters.size}</span>)</div>
+            <div class="menu_button" id="clearSelectionButton">Clear selection</div>
+            <div class="menu_button" id="checkUpdatesButton" title="Check installed characters for changes at their source">Check for updates</div>
+            <div class="menu_button" id="favoritesButton" title="Show the starred results">Favorites (<span id="favoritesCount">${(extension_settings.chub.favorites || []).length}</span>)</div>
+        </div>
         <hr>
         <div class="search-container">
             <div class="search-tags">
@@ -1369,14 +5258,25 @@ async function displayCharactersInListViewPopup() {
                     <input type="text" id="characterSearchInput" class="search-input" placeholder="Search CHUB Characters...">
                 </span>
                 <span class="search-tag">
-                    <label for="includeTags"><i class="fas fa-plus-square"></i></label>
-                    <input type="text" id="includeTags" class="search-input" placeholder="Include tags">
+                    <label for="includeTagPicker"><i class="fas fa-plus-square"></i></label>
+                    <div class="tag-picker">
+                        <span id="includeTagChips" class="tag-chips"></span>
+                        <input type="text" id="includeTagPicker" class="search-input" placeholder="Include tags" autocomplete="off">
+                        <ul id="includeTagSuggestions" class="tag-suggestions" style="display: none;"></ul>
+                    </div>
+                    <input type="hidden" id="includeTags">
                 </span>
                 <span class="search-tag">
-                    <label for="excludeTags"><i class="fas fa-minus-square"></i></label>
-                    <input type="text" id="excludeTags" class="search-input" placeholder="Exclude tags">
+                    <label for="excludeTagPicker"><i class="fas fa-minus-square"></i></label>
+                    <div class="tag-picker">
+                        <span id="excludeTagChips" class="tag-chips"></span>
+                        <input type="text" id="excludeTagPicker" class="search-input" placeholder="Exclude tags" autocomplete="off">
+                        <ul id="excludeTagSuggestions" class="tag-suggestions" style="display: none;"></ul>
+                    </div>
+                    <input type="hidden" id="excludeTags">
                 </span>
             </div>
+            <div id="creatorScope" class="creator-scope flex-container flex-no-wrap flex-align-center" style="display: none;"></div>
             <div class="page-buttons flex-container flex-no-wrap flex-align-center">
                 <div class="flex-container flex-no-wrap flex-align-center">
                     <button class="menu_button" id="pageDownButton"><i class="fas fa-chevron-left"></i></button>
@@ -1389,17 +5289,148 @@ async function displayCharactersInListViewPopup() {
                 ${Object.keys(readableOptions).map(key => `<option value="${key}">${readableOptions[key]}</option>`).join('')}
                 </select>
                 </div>
+                <div class="flex-container flex-no-wrap flex-align-center">
+                    <label for="infiniteScrollCheckbox" title="Load the next page when the end of the list is reached">Infinite scroll:</label>
+                    <input type="checkbox" id="infiniteScrollCheckbox">
+                </div>
                 <div class="flex-container flex-no-wrap flex-align-center">
                     <label for="nsfwCheckbox">NSFW:</label>
                     <input type="checkbox" id="nsfwCheckbox">
                 </div>
+                <div class="flex-container flex-no-wrap flex-align-center">
+                    <label for="toggleAdvancedFilters" style="cursor: pointer;" title="Advanced filters">
+                        <i class="fas fa-sliders"></i>
+                    </label>
+                    <input type="checkbox" id="toggleAdvancedFilters">
+                </div>
+                <div class="flex-container flex-no-wrap flex-align-center">
+                    <label for="toggleLocalFilters" style="cursor: pointer;" title="Result filters, applied to the results of every API">
+                        <i class="fas fa-filter"></i>
+                    </label>
+                    <input type="checkbox" id="toggleLocalFilters">
+                </div>
+                <div id="localFiltersContainer" class="api-config-container advanced-filters-container" style="display: none;">
+                    <div class="api-config-tags">
+                        <span class="api-config-tag">
+                            <label for="localMinTokensInput">Min tokens:</label>
+                            <input type="number" id="localMinTokensInput" class="api-config-input advanced-number-input" data-local-filter="minTokens" min="0" step="100">
+                        </span>
+                        <span class="api-config-tag">
+                            <label for="localMaxTokensInput" title="0 for no upper limit">Max tokens:</label>
+                            <input type="number" id="localMaxTokensInput" class="api-config-input advanced-number-input" data-local-filter="maxTokens" min="0" step="100">
+                        </span>
+                        <span class="api-config-tag">
+                            <label for="localCreatedAfterInput">Created after:</label>
+                            <input type="date" id="localCreatedAfterInput" class="api-config-input" data-local-filter="createdAfter">
+                        </span>
+                        <span class="api-config-tag">
+                            <label for="localMinStarsInput">Min stars:</label>
+                            <input type="number" id="localMinStarsInput" class="api-config-input advanced-number-input" data-local-filter="minStars" min="0">
+                        </span>
+                        <span class="api-config-tag">
+                            <label for="localMinChatsInput">Min chats:</label>
+                            <input type="number" id="localMinChatsInput" class="api-config-input advanced-number-input" data-local-filter="minChats" min="0">
+                        </span>
+                        <span class="api-config-tag">
+                            <label for="localRequireDownloadCheckbox" title="Hide results whose card cannot be downloaded, e.g. JanitorAI characters with a hidden definition">Card download:</label>
+                            <input type="checkbox" id="localRequireDownloadCheckbox" data-local-filter="requireDownload">
+                        </span>
+                        <div class="menu_button" id="resetLocalFiltersButton" title="Clear the result filters"><i class="fa-solid fa-rotate-left"></i> Reset</div>
+                    </div>
+                </div>
+                <div id="advancedFiltersContainer" class="api-config-container advanced-filters-container" style="display: none;">
+                    <div class="api-config-tags">
+                        <span class="api-config-tag token-range-tag">
+                            <label for="minTokensRange">Tokens:</label>
+                            <input type="range" id="minTokensRange" data-chub-filter="minTokens" min="0" max="${TOKEN_SLIDER_MAX}" step="50">
+                            <input type="range" id="maxTokensRange" data-chub-filter="maxTokens" min="0" max="${TOKEN_SLIDER_MAX}" step="50">
+                            <span id="tokenRangeDisplay"></span>
+                        </span>
+                        <span class="api-config-tag">
+                            <label for="ascSelect">Order:</label>
+                            <select id="ascSelect" class="margin0" data-chub-filter="asc">
+                                <option value="false">Descending</option>
+                                <option value="true">Ascending</option>
+                            </select>
+                        </span>
+                        <span class="api-config-tag">
+                            <label for="inclusiveOrSelect" title="How included tags are matched">Tags:</label>
+                            <select id="inclusiveOrSelect" class="margin0" data-chub-filter="inclusiveOr">
+                                <option value="false">Match all (AND)</option>
+                                <option value="true">Match any (OR)</option>
+                            </select>
+                        </span>
+                        <span class="api-config-tag">
+                            <label for="minTagsInput" title="Minimum number of tags a character has">Min tags:</label>
+                            <input type="number" id="minTagsInput" class="api-config-input advanced-number-input" data-chub-filter="minTags" min="0">
+                        </span>
+                        <span class="api-config-tag">
+                            <label for="minAiRatingInput">Min AI rating:</label>
+                            <input type="number" id="minAiRatingInput" class="api-config-input advanced-number-input" data-chub-filter="minAiRating" min="0" step="0.5">
+                        </span>
+                        <span class="api-config-tag">
+                            <label for="loreFilterSelect" title="Only show characters with a lorebook">Lorebook:</label>
+                            <select id="loreFilterSelect" class="margin0" data-chub-filter="lore">
+                                <option value="any">Any</option>
+                                <option value="lore">Required</option>
+                                <option value="embedded">Embedded</option>
+                                <option value="linked">Linked</option>
+                            </select>
+                        </span>
+                        <span class="api-config-tag">
+                            <label for="recommendedVerifiedCheckbox">Verified only:</label>
+                            <input type="checkbox" id="recommendedVerifiedCheckbox" data-chub-filter="recommendedVerified">
+                        </span>
+                        <span class="api-config-tag">
+                            <label for="requireAlternateGreetingsCheckbox">Alternate greetings:</label>
+                            <input type="checkbox" id="requireAlternateGreetingsCheckbox" data-chub-filter="requireAlternateGreetings">
+                        </span>
+                        <span class="api-config-tag">
+                            <label for="requireExampleDialoguesCheckbox">Example dialogues:</label>
+                            <input type="checkbox" id="requireExampleDialoguesCheckbox" data-chub-filter="requireExampleDialogues">
+                        </span>
+                        <span class="api-config-tag">
+                            <label for="requireCustomPromptCheckbox">Custom prompt:</label>
+                            <input type="checkbox" id="requireCustomPromptCheckbox" data-chub-filter="requireCustomPrompt">
+                        </span>
+                        <span class="api-config-tag">
+                            <label for="requireExpressionsCheckbox" title="Only show characters with an expression sprite pack">Expressions:</label>
+                            <input type="checkbox" id="requireExpressionsCheckbox" data-chub-filter="requireExpressions">
+                        </span>
+                        <span class="api-config-tag">
+                            <label for="requireImagesCheckbox" title="Only show characters with a gallery">Gallery:</label>
+                            <input type="checkbox" id="requireImagesCheckbox" data-chub-filter="requireImages">
+                        </span>
+                        <span class="api-config-tag">
+                            <label for="includeForksCheckbox">Include forks:</label>
+                            <input type="checkbox" id="includeForksCheckbox" data-chub-filter="includeForks">
+                        </span>
+                        <span class="api-config-tag">
+                            <label for="nsflCheckbox" title="Include NSFL characters">NSFL:</label>
+                            <input type="checkbox" id="nsflCheckbox" data-chub-filter="nsfl">
+                        </span>
+                        <div class="menu_button" id="resetAdvancedFiltersButton" title="Restore the default filters"><i class="fa-solid fa-rotate-left"></i> Reset</div>
+                    </div>
+                </div>
                 <div class="flex-container flex-no-wrap flex-align-center">
                     <label for="apiProviderSelect">API:</label>
                     <select id="apiProviderSelect" class="margin0">
-                        <option value="chub">CHub</option>
-                        <option value="janitor">JanitorAI</option>
-                        <option value="aicc">AICC</option>
-                        <option value="character-tavern">Character Tavern</option>
+                        ${[...providers.values()].map(provider => `<option value="${provider.id}">${provider.name}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="flex-container flex-no-wrap flex-align-center">
+                    <label for="contentTypeSelect">Type:</label>
+                    <select id="contentTypeSelect" class="margin0"></select>
+                </div>
+                <div class="flex-container flex-no-wrap flex-align-center">
+                    <label for="mergeDuplicatesCheckbox" title="Group the same card found on several sources into one entry">Merge duplicates:</label>
+                    <input type="checkbox" id="mergeDuplicatesCheckbox">
+                </div>
+                <div class="flex-container flex-no-wrap flex-align-center">
+                    <label for="cardSpecSelect" title="Spec of cards built for sources that only offer JSON definitions">Card spec:</label>
+                    <select id="cardSpecSelect" class="margin0">
+                        <option value="v2">V2</option>
+                        <option value="v3">V3</option>
                     </select>
                 </div>
                 <div class="flex-container flex-no-wrap flex-align-center">
@@ -1415,26 +5446,79 @@ async function displayCharactersInListViewPopup() {
                 <div id="apiConfigContainer" class="api-config-container" style="display: none;">
                     <div class="api-config-tags">
                         <span class="api-config-tag">
-                            <label for="translateEndpointInput">Translation API:</label>
-                            <input type="text" id="translateEndpointInput" class="api-config-input" placeholder="http://localhost:7009/translate">
+                            <label for="translateEndpointInput">Translation API:</label>
+                            <input type="text" id="translateEndpointInput" class="api-config-input" placeholder="http://localhost:7009/translate">
+                        </span>
+                        <span class="api-config-tag">
+                            <label for="translateKeyInput">Translation API Key:</label>
+                            <input type="text" id="translateKeyInput" class="api-config-input" placeholder="sk-*">
+                        </span>
+                        <span class="api-config-tag">
+                            <label for="crawlEndpointInput">Web Search API:</label>
+                            <input type="text" id="crawlEndpointInput" class="api-config-input" placeholder="http://localhost:7010/crawl">
+                        </span>
+                        <span class="api-config-tag">
+                            <label for="crawlKeyInput">Web Search API Key:</label>
+                            <input type="text" id="crawlKeyInput" class="api-config-input" placeholder="sk-*">
+                        </span>
+                    </div>
+                    <div class="api-config-tags cache-config">
+                        ${[...providers.values()].filter(provider => provider.id !== 'all').map(provider => `
+                            <span class="api-config-tag">
+                                <label for="cacheTtl-${provider.id}" title="Minutes search pages, thumbnails and cards are kept, 0 disables the cache">${provider.name} cache (min):</label>
+                                <input type="number" id="cacheTtl-${provider.id}" class="api-config-input cache-ttl-input" data-provider="${provider.id}" min="0">
+                            </span>
+                        `).join('')}
+                        <div class="menu_button" id="clearCacheButton" title="Delete all cached search pages, thumbnails and cards"><i class="fa-solid fa-trash-can"></i> Clear cache</div>
+                    </div>
+                    <div class="api-config-tags import-config">
+                        <span class="api-config-tag">
+                            <label for="importLorebooksCheckbox" title="Create World Info files for embedded and linked lorebooks and bind them to the character">Import lorebooks:</label>
+                            <input type="checkbox" id="importLorebooksCheckbox">
                         </span>
                         <span class="api-config-tag">
-                            <label for="translateKeyInput">Translation API Key:</label>
-                            <input type="text" id="translateKeyInput" class="api-config-input" placeholder="sk-*">
+                            <label for="importExpressionsCheckbox" title="Install CHub expression sprites into the character's sprite folder">Import expressions:</label>
+                            <input type="checkbox" id="importExpressionsCheckbox">
                         </span>
                         <span class="api-config-tag">
-                            <label for="crawlEndpointInput">Web Search API:</label>
-                            <input type="text" id="crawlEndpointInput" class="api-config-input" placeholder="http://localhost:7010/crawl">
+                            <label for="importGalleryCheckbox" title="Install CHub gallery images into the character's gallery">Import gallery:</label>
+                            <input type="checkbox" id="importGalleryCheckbox">
                         </span>
                         <span class="api-config-tag">
-                            <label for="crawlKeyInput">Web Search API Key:</label>
-                            <input type="text" id="crawlKeyInput" class="api-config-input" placeholder="sk-*">
+                            <label for="importTagsCheckbox" title="Assign the source's tags to imported characters">Import tags:</label>
+                            <input type="checkbox" id="importTagsCheckbox">
+                        </span>
+                        <span class="api-config-tag">
+                            <label for="skipNoiseTagsCheckbox" title="Skip placeholder, numeric and overly long tags and the noise tags below">Skip noise tags:</label>
+                            <input type="checkbox" id="skipNoiseTagsCheckbox">
+                        </span>
+                        <span class="api-config-tag">
+                            <label for="noiseTagsInput">Noise tags:</label>
+                            <input type="text" id="noiseTagsInput" class="api-config-input" placeholder="oc, roleplay, other">
+                        </span>
+                        <span class="api-config-tag tag-mappings-tag">
+                            <label for="tagMappingsInput" title="One rule per line. Map several tags to one name to merge them, leave the target empty to drop a tag.">Tag mappings:</label>
+                            <textarea id="tagMappingsInput" class="api-config-input tag-mappings-input" rows="4" placeholder="furry -> Anthro&#10;anthro -> Anthro&#10;male pov ->"></textarea>
+                        </span>
+                        <span class="api-config-tag tag-mappings-tag">
+                            <label for="tagAliasesInput" title="One tag per line, followed by the names other sites use for it. Search tags are carried over between APIs through these aliases.">Search tag aliases:</label>
+                            <textarea id="tagAliasesInput" class="api-config-input tag-mappings-input" rows="4" placeholder="Sci-Fi: scifi, science fiction&#10;Furry: anthro"></textarea>
                         </span>
                     </div>
                 </div>
                 <div class="menu_button" id="characterSearchButton">Search</div>
+                <div class="flex-container flex-no-wrap flex-align-center saved-searches">
+                    <select id="savedSearchSelect" class="margin0" title="Saved and recent searches"></select>
+                    <div class="menu_button fa-solid fa-floppy-disk" id="saveSearchButton" title="Save this search"></div>
+                    <div class="menu_button fa-solid fa-trash-can disabled" id="deleteSavedSearchButton" title="Delete the selected saved search"></div>
+                </div>
+                <div class="flex-container flex-no-wrap flex-align-center">
+                    <select id="followedCreatorSelect" class="margin0" title="Show the cards of a followed creator"></select>
+                </div>
                 <div class="flex-container flex-no-wrap flex-align-center" style="margin-left: 10px;">
-                    <span id="currentApiDisplay" style="font-size: 0.8em; color: var(--SmartThemeEmColor);">API: CHub</span>
+                    <span id="currentApiDisplay" style="font-size: 0.8em; color: var(--SmartThemeEmColor);">API: ${currentApiProvider.name}</span>
+                    <span id="resultCount" class="result-count"></span>
+                    <span id="localFilterSummary" class="result-count local-filter-summary"></span>
                 </div>
             </div>
 
@@ -1453,28 +5537,39 @@ async function displayCharactersInListViewPopup() {
 
     // Initialize settings UI
     document.getElementById('nsfwCheckbox').checked = extension_settings.chub.nsfw || false;
-    document.getElementById('apiProviderSelect').value = extension_settings.chub.apiProvider || 'chub';
+    document.getElementById('apiProviderSelect').value = currentApiProvider.id;
+    document.getElementById('infiniteScrollCheckbox').checked = extension_settings.chub.infiniteScroll || false;
+    document.getElementById('mergeDuplicatesCheckbox').checked = extension_settings.chub.mergeDuplicates || false;
+    document.getElementById('cardSpecSelect').value = extension_settings.chub.cardSpec || 'v3';
     document.getElementById('enableTranslationCheckbox').checked = extension_settings.chub.enableTranslation || false;
     document.getElementById('translateEndpointInput').value = extension_settings.chub.translateApiEndpoint || TRANSLATE_API_ENDPOINT;
     document.getElementById('translateKeyInput').value = extension_settings.chub.translateApiKey || TRANSLATE_API_KEY;
     document.getElementById('crawlEndpointInput').value = extension_settings.chub.crawlApiEndpoint || CRAWL_API_ENDPOINT;
     document.getElementById('crawlKeyInput').value = extension_settings.chub.crawlApiKey || CRAWL_API_KEY;
+    document.querySelectorAll('.cache-ttl-input').forEach(input => {
+        input.value = extension_settings.chub.cacheTtl?.[input.dataset.provider] ?? DEFAULT_CACHE_TTL_MINUTES;
+    });
+    document.querySelectorAll('[data-chub-filter]').forEach(input => writeChubFilterInput(input, extension_settings.chub.chubFilters[input.dataset.chubFilter]));
+    updateTokenRangeDisplay();
+    writeLocalFilterInputs();
+    document.getElementById('importLorebooksCheckbox').checked = extension_settings.chub.importLorebooks || false;
+    document.getElementById('importExpressionsCheckbox').checked = extension_settings.chub.importExpressions || false;
+    document.getElementById('importGalleryCheckbox').checked = extension_settings.chub.importGallery || false;
+    document.getElementById('importTagsCheckbox').checked = extension_settings.chub.importTags || false;
+    document.getElementById('skipNoiseTagsCheckbox').checked = extension_settings.chub.skipNoiseTags || false;
+    document.getElementById('noiseTagsInput').value = (extension_settings.chub.noiseTags || []).join(', ');
+    document.getElementById('tagMappingsInput').value = formatTagMappings(extension_settings.chub.tagMappings);
+    document.getElementById('tagAliasesInput').value = formatTagAliases(extension_settings.chub.tagAliases);
     
-    // Initialize sort options based on current API provider
-    updateSortOptions(extension_settings.chub.apiProvider || 'chub');
-    
-    // Initialize API display
-    const apiDisplay = document.getElementById('currentApiDisplay');
-    if (apiDisplay) {
-        const currentApi = extension_settings.chub.apiProvider || 'chub';
-        const apiNames = {
-            'chub': 'CHub',
-            'janitor': 'JanitorAI',
-            'aicc': 'AICC',
-            'character-tavern': 'Character Tavern'
-        };
-        apiDisplay.textContent = `API: ${apiNames[currentApi] || 'CHub'}`;
-    }
+    // Initialize sort options and filter inputs based on current API provider
+    updateSortOptions(currentApiProvider.id);
+    updateContentTypeOptions(currentApiProvider.id);
+    renderSavedSearchOptions();
+    renderFollowedCreatorOptions();
+    renderCreatorScope();
+    initTagPicker('include');
+    initTagPicker('exclude');
+    updateFilterInputs(currentApiProvider.id);
 
     let clone = null;  // Store reference to the cloned image
 
@@ -1515,33 +5610,61 @@ async function displayCharactersInListViewPopup() {
 
 
     characterListContainer.addEventListener('click', async function (event) {
-        if (event.target.classList.contains('download-btn')) {
-            const cardDataUrl = event.target.getAttribute('data-card-data-url');
-            const fullUrl = event.target.getAttribute('data-path');
-            
-            // 如果角色卡数据URL存在，则直接下载并上传
-            if (cardDataUrl && cardDataUrl.trim() !== '') {
-                const success = await downloadCharacterFromCardData(cardDataUrl, fullUrl);
-                if (!success) {
-                    // 如果直接下载失败，回退到原来的方式
-                    console.log('Falling back to external import:', fullUrl);
-                    $('#external_import_button').click();
-                    setTimeout(() => {
-                        $('dialog textarea').val(fullUrl);
-                    }, 1000);
-                }
+        const sourceButton = event.target.closest('.source-download');
+        if (sourceButton) {
+            const listItem = sourceButton.closest('.character-list-item');
+            const character = chubCharacters[Number(listItem?.getAttribute('data-index'))];
+            const source = character?.sources?.[Number(sourceButton.getAttribute('data-source-index'))];
+
+            if (source) {
+                await importSearchResult(source);
+            }
+        } else if (event.target.classList.contains('author')) {
+            const listItem = event.target.closest('.character-list-item');
+            const character = chubCharacters[Number(listItem?.getAttribute('data-index'))];
+
+            // Providers that cannot search by creator keep the link to the creator's page
+            if (character && character.authorId && getProvider(character.provider).filters.author) {
+                event.preventDefault();
+                scopeSearchToCreator({ provider: character.provider, id: character.authorId, name: character.author, url: character.authorUrl });
+                handleSearch(event);
+            }
+        } else if (event.target.classList.contains('favorite-btn')) {
+            const listItem = event.target.closest('.character-list-item');
+            const character = chubCharacters[Number(listItem?.getAttribute('data-index'))];
+
+            if (character) {
+                const isFavorite = toggleFavorite(character);
+                event.target.classList.toggle('fa-solid', isFavorite);
+                event.target.classList.toggle('fa-regular', !isFavorite);
+            }
+        } else if (event.target.classList.contains('preview-btn')) {
+            const listItem = event.target.closest('.character-list-item');
+            const character = chubCharacters[Number(listItem?.getAttribute('data-index'))];
+
+            if (character) {
+                await previewCharacter(character);
+            }
+        } else if (event.target.classList.contains('download-btn')) {
+            const listItem = event.target.closest('.character-list-item');
+            const character = chubCharacters[Number(listItem?.getAttribute('data-index'))];
+
+            if (character) {
+                await importSearchResult(character);
             } else {
-                // 如果没有角色卡数据URL，使用原来的方式
-                console.log('Using full URL for external import:', fullUrl);
-                $('#external_import_button').click();
-                setTimeout(() => {
-                    $('dialog textarea').val(fullUrl);
-                }, 1000);
+                // The list was rendered before the current results, fall back to the page URL
+                await openExternalImport(event.target.getAttribute('data-path'));
             }
         } else if (event.target.classList.contains('tag')) {
             // Handle tag click - toggle tag in include tags
             // Use data-value (English) for data processing, not display text (Chinese)
-            const tagValue = event.target.getAttribute('data-value') || event.target.textContent.trim();
+            // Results listed under All sources use their own provider's tag ids, translate them
+            const listItem = event.target.closest('.character-list-item');
+            const character = chubCharacters[Number(listItem?.getAttribute('data-index'))];
+            const rawTagValue = event.target.getAttribute('data-value') || event.target.textContent.trim();
+            const tagValue = character && character.provider
+                ? await translateTag(rawTagValue, character.provider, extension_settings.chub.apiProvider)
+                : rawTagValue;
             const includeTagsInput = document.getElementById('includeTags');
             const currentValue = includeTagsInput.value.trim();
             
@@ -1562,20 +5685,64 @@ async function displayCharactersInListViewPopup() {
             }
             
             // Trigger search with updated tags
+            renderTagChips('include');
             const searchEvent = new Event('change');
             includeTagsInput.dispatchEvent(searchEvent);
         }
     });
 
-    const executeCharacterSearchDebounced = debounce((options) => executeCharacterSearch(options), 750);
+    characterListContainer.addEventListener('change', function (event) {
+        if (!event.target.classList.contains('select-character')) return;
 
-    // Combine the 'keydown' and 'click' event listeners for search functionality, debounce the inputs
-    const handleSearch = async function (e) {
-        console.log('handleSearch', e);
-        if (e.type === 'keydown' && e.key !== 'Enter' && e.target.id !== 'includeTags' && e.target.id !== 'excludeTags') {
+        const listItem = event.target.closest('.character-list-item');
+        const character = chubCharacters[Number(listItem?.getAttribute('data-index'))];
+        if (!character) return;
+
+        if (event.target.checked) {
+            selectedCharacters.set(getCharacterKey(character), character);
+        } else {
+            selectedCharacters.delete(getCharacterKey(character));
+        }
+        updateSelectionControls();
+    });
+
+    document.getElementById('selectAllCheckbox').addEventListener('change', function (e) {
+        chubCharacters.filter(isBulkImportable).forEach(character => {
+            if (e.target.checked) {
+                selectedCharacters.set(getCharacterKey(character), character);
+            } else {
+                selectedCharacters.delete(getCharacterKey(character));
+            }
+        });
+        characterListContainer.querySelectorAll('.select-character').forEach(checkbox => checkbox.checked = e.target.checked);
+        updateSelectionControls();
+    });
+
+    document.getElementById('importSelectedButton').addEventListener('click', async function () {
+        if (selectedCharacters.size === 0) {
+            toastr.info('Tick the characters you want to import first');
             return;
         }
+        await runImportQueue([...selectedCharacters.values()]);
+        characterListContainer.querySelectorAll('.character-list-item').forEach(listItem => {
+            const character = chubCharacters[Number(listItem.getAttribute('data-index'))];
+            listItem.querySelector('.select-character').checked = !!character && selectedCharacters.has(getCharacterKey(character));
+        });
+    });
+
+    document.getElementById('checkUpdatesButton').addEventListener('click', checkForUpdates);
+    document.getElementById('favoritesButton').addEventListener('click', openFavoritesView);
+
+    document.getElementById('clearSelectionButton').addEventListener('click', function () {
+        selectedCharacters.clear();
+        characterListContainer.querySelectorAll('.select-character').forEach(checkbox => checkbox.checked = false);
+        updateSelectionControls();
+    });
+
+    const executeCharacterSearchDebounced = debounce((options) => executeCharacterSearch(options), 750);
 
+    // Combine the 'keydown' and 'click' event listeners for search functionality, debounce the inputs
+    const readSearchOptions = function () {
         const splitAndTrim = (str) => {
             str = str.trim(); // Trim the entire string first
             if (!str.includes(',')) {
@@ -1584,14 +5751,25 @@ async function displayCharactersInListViewPopup() {
             return str.split(',').map(tag => tag.trim());
         };
 
-        console.log(document.getElementById('includeTags').value);
+        return {
+            searchTerm: document.getElementById('characterSearchInput').value,
+            includeTags: splitAndTrim(document.getElementById('includeTags').value),
+            excludeTags: splitAndTrim(document.getElementById('excludeTags').value),
+            nsfw: document.getElementById('nsfwCheckbox').checked,
+            sort: document.getElementById('sortOrder').value,
+            page: document.getElementById('pageNumber').value,
+            contentType: getActiveContentType(),
+            author: creatorScope && creatorScope.provider === extension_settings.chub.apiProvider ? creatorScope.id : undefined
+        };
+    };
+
+    const handleSearch = async function (e) {
+        console.log('handleSearch', e);
+        if (e.type === 'keydown' && e.key !== 'Enter' && e.target.id !== 'includeTags' && e.target.id !== 'excludeTags') {
+            return;
+        }
 
-        const searchTerm = document.getElementById('characterSearchInput').value;
-        const includeTags = splitAndTrim(document.getElementById('includeTags').value);
-        const excludeTags = splitAndTrim(document.getElementById('excludeTags').value);
-        const nsfw = document.getElementById('nsfwCheckbox').checked;
-        const sort = document.getElementById('sortOrder').value;
-        let page = document.getElementById('pageNumber').value;
+        const options = readSearchOptions();
 
         // If the page number is not being changed, use page 1
         // Check if the target is a button or if its parent is a button (for icon clicks)
@@ -1600,56 +5778,101 @@ async function displayCharactersInListViewPopup() {
         const isPageNumberInput = e.target.id === 'pageNumber';
         
         if (!isPageButton && !isPageNumberInput) {
-            page = 1;
+            options.page = 1;
             // set page box to 1
             document.getElementById('pageNumber').value = 1;
         }
 
-        executeCharacterSearchDebounced({
-            searchTerm,
-            includeTags,
-            excludeTags,
-            nsfw,
-            sort,
-            page
-        });
+        executeCharacterSearchDebounced(options);
     };
 
     // debounce the inputs
     document.getElementById('characterSearchInput').addEventListener('change', handleSearch);
     document.getElementById('characterSearchButton').addEventListener('click', handleSearch);
-    document.getElementById('includeTags').addEventListener('keyup', handleSearch);
-    document.getElementById('excludeTags').addEventListener('keyup', handleSearch);
+    // The tag pickers fire change on their hidden inputs when a chip is added or removed
+    document.getElementById('includeTags').addEventListener('change', handleSearch);
+    document.getElementById('excludeTags').addEventListener('change', handleSearch);
     document.getElementById('sortOrder').addEventListener('change', handleSearch);
     document.getElementById('nsfwCheckbox').addEventListener('change', function(e) {
         extension_settings.chub.nsfw = e.target.checked;
         handleSearch(e);
     });
-    document.getElementById('apiProviderSelect').addEventListener('change', function(e) {
+    document.getElementById('apiProviderSelect').addEventListener('change', async function(e) {
+        const previousProvider = extension_settings.chub.apiProvider;
         extension_settings.chub.apiProvider = e.target.value;
         saveSettings();
         
-        // Update sort options based on selected API
+        // Update sort options and filter inputs based on selected API
         updateSortOptions(e.target.value);
+        updateContentTypeOptions(e.target.value);
+        updateFilterInputs(e.target.value);
         
-        // Clear tag condition inputs when switching API
-        document.getElementById('includeTags').value = '';
-        document.getElementById('excludeTags').value = '';
+        // Carry the tag conditions over to the new API, and clear the creator
+        creatorScope = null;
+        renderCreatorScope();
+        await carryTagsOver(previousProvider, e.target.value);
         
-        // Update API display
-        const apiDisplay = document.getElementById('currentApiDisplay');
-        if (apiDisplay) {
-            const apiNames = {
-                'chub': 'CHub',
-                'janitor': 'JanitorAI',
-                'aicc': 'AICC',
-                'character-tavern': 'Character Tavern'
-            };
-            apiDisplay.textContent = `API: ${apiNames[e.target.value] || 'CHub'}`;
+        handleSearch(e);
+    });
+    document.getElementById('savedSearchSelect').addEventListener('change', function(e) {
+        const search = getPickedSearch(e.target.value);
+        document.getElementById('deleteSavedSearchButton').classList.toggle('disabled', !e.target.value.startsWith('saved:'));
+        if (!search) return;
+        restoreSearchInputs(search);
+        handleSearch(e);
+    });
+    document.getElementById('followedCreatorSelect').addEventListener('change', function(e) {
+        const creator = extension_settings.chub.followedCreators[Number(e.target.value)];
+        e.target.value = '';
+        if (!creator) return;
+        scopeSearchToCreator(creator);
+        handleSearch(e);
+    });
+    document.getElementById('creatorScope').addEventListener('click', function(e) {
+        if (!creatorScope) return;
+        if (e.target.closest('.follow-creator-btn')) {
+            const isFollowed = toggleFollowCreator(creatorScope);
+            toastr.info(isFollowed ? `Following ${creatorScope.name}, their new cards will be flagged` : `Unfollowed ${creatorScope.name}`);
+            renderCreatorScope();
+        } else if (e.target.closest('.clear-creator-btn')) {
+            creatorScope = null;
+            renderCreatorScope();
+            handleSearch(e);
         }
-        
+    });
+    document.getElementById('saveSearchButton').addEventListener('click', function() {
+        saveCurrentSearch(readSearchOptions());
+    });
+    document.getElementById('deleteSavedSearchButton').addEventListener('click', function() {
+        const value = document.getElementById('savedSearchSelect').value;
+        if (!value.startsWith('saved:')) return;
+        const [removed] = extension_settings.chub.savedSearches.splice(Number(value.split(':')[1]), 1);
+        saveSettings();
+        document.getElementById('savedSearchSelect').value = '';
+        renderSavedSearchOptions();
+        toastr.info(`Deleted saved search "${removed.name}"`);
+    });
+    document.getElementById('infiniteScrollCheckbox').addEventListener('change', function(e) {
+        extension_settings.chub.infiniteScroll = e.target.checked;
+        saveSettings();
+        if (chubCharacters.length > 0) {
+            updateCharacterListInView(chubCharacters);
+        }
+    });
+    document.getElementById('contentTypeSelect').addEventListener('change', function(e) {
+        extension_settings.chub.contentType = e.target.value;
+        saveSettings();
+        handleSearch(e);
+    });
+    document.getElementById('mergeDuplicatesCheckbox').addEventListener('change', function(e) {
+        extension_settings.chub.mergeDuplicates = e.target.checked;
+        saveSettings();
         handleSearch(e);
     });
+    document.getElementById('cardSpecSelect').addEventListener('change', function(e) {
+        extension_settings.chub.cardSpec = e.target.value;
+        saveSettings();
+    });
     document.getElementById('enableTranslationCheckbox').addEventListener('change', function(e) {
         extension_settings.chub.enableTranslation = e.target.checked;
         // Save settings
@@ -1684,6 +5907,99 @@ async function displayCharactersInListViewPopup() {
         extension_settings.chub.crawlApiKey = e.target.value;
         saveSettings();
     });
+    document.getElementById('toggleAdvancedFilters').addEventListener('change', function(e) {
+        document.getElementById('advancedFiltersContainer').style.display = e.target.checked ? 'block' : 'none';
+    });
+    const advancedFiltersContainer = document.getElementById('advancedFiltersContainer');
+    advancedFiltersContainer.addEventListener('input', function(e) {
+        if (e.target.type !== 'range') return;
+        // Keep the token sliders from crossing
+        const minRange = document.getElementById('minTokensRange');
+        const maxRange = document.getElementById('maxTokensRange');
+        if (Number(minRange.value) > Number(maxRange.value)) {
+            (e.target === minRange ? maxRange : minRange).value = e.target.value;
+        }
+        extension_settings.chub.chubFilters = { ...extension_settings.chub.chubFilters, minTokens: readChubFilterInput(minRange), maxTokens: readChubFilterInput(maxRange) };
+        updateTokenRangeDisplay();
+    });
+    advancedFiltersContainer.addEventListener('change', function(e) {
+        if (!e.target.dataset.chubFilter) return;
+        extension_settings.chub.chubFilters = { ...extension_settings.chub.chubFilters, [e.target.dataset.chubFilter]: readChubFilterInput(e.target) };
+        saveSettings();
+        handleSearch(e);
+    });
+    document.getElementById('resetAdvancedFiltersButton').addEventListener('click', function(e) {
+        extension_settings.chub.chubFilters = { ...defaultSettings.chubFilters };
+        document.querySelectorAll('[data-chub-filter]').forEach(input => writeChubFilterInput(input, extension_settings.chub.chubFilters[input.dataset.chubFilter]));
+        updateTokenRangeDisplay();
+        saveSettings();
+        handleSearch(e);
+    });
+    document.getElementById('toggleLocalFilters').addEventListener('change', function(e) {
+        document.getElementById('localFiltersContainer').style.display = e.target.checked ? 'block' : 'none';
+    });
+    document.getElementById('localFiltersContainer').addEventListener('change', function(e) {
+        const key = e.target.dataset.localFilter;
+        if (!key) return;
+        const value = e.target.type === 'checkbox' ? e.target.checked : e.target.type === 'number' ? Math.max(0, Number(e.target.value) || 0) : e.target.value;
+        extension_settings.chub.localFilters = { ...extension_settings.chub.localFilters, [key]: value };
+        saveSettings();
+        refilterResults();
+    });
+    document.getElementById('resetLocalFiltersButton').addEventListener('click', function() {
+        extension_settings.chub.localFilters = { ...defaultSettings.localFilters };
+        writeLocalFilterInputs();
+        saveSettings();
+        refilterResults();
+    });
+    document.getElementById('importLorebooksCheckbox').addEventListener('change', function(e) {
+        extension_settings.chub.importLorebooks = e.target.checked;
+        saveSettings();
+    });
+    document.getElementById('importExpressionsCheckbox').addEventListener('change', function(e) {
+        extension_settings.chub.importExpressions = e.target.checked;
+        saveSettings();
+    });
+    document.getElementById('importGalleryCheckbox').addEventListener('change', function(e) {
+        extension_settings.chub.importGallery = e.target.checked;
+        saveSettings();
+    });
+    document.querySelectorAll('.cache-ttl-input').forEach(input => input.addEventListener('change', function(e) {
+        extension_settings.chub.cacheTtl = { ...extension_settings.chub.cacheTtl, [e.target.dataset.provider]: Math.max(0, Number(e.target.value) || 0) };
+        saveSettings();
+    }));
+    document.getElementById('clearCacheButton').addEventListener('click', async function () {
+        try {
+            await clearCache();
+            toastr.success('Cache cleared');
+        } catch (error) {
+            console.error('Error clearing the cache:', error);
+            toastr.error('Error clearing the cache: ' + error.message);
+        }
+    });
+    document.getElementById('importTagsCheckbox').addEventListener('change', function(e) {
+        extension_settings.chub.importTags = e.target.checked;
+        saveSettings();
+    });
+    document.getElementById('skipNoiseTagsCheckbox').addEventListener('change', function(e) {
+        extension_settings.chub.skipNoiseTags = e.target.checked;
+        saveSettings();
+    });
+    document.getElementById('noiseTagsInput').addEventListener('change', function(e) {
+        extension_settings.chub.noiseTags = e.target.value.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0);
+        saveSettings();
+    });
+    document.getElementById('tagMappingsInput').addEventListener('change', function(e) {
+        extension_settings.chub.tagMappings = parseTagMappings(e.target.value);
+        saveSettings();
+    });
+    document.getElementById('tagAliasesInput').addEventListener('change', function(e) {
+        extension_settings.chub.tagAliases = parseTagAliases(e.target.value);
+        saveSettings();
+        // Regroup the tags seen so far under the new aliases
+        tagAliasIndex = null;
+        restoreLearnedTags();
+    });
 
     // when the page number is finished being changed, search again
     document.getElementById('pageNumber').addEventListener('change', handleSearch);
@@ -1706,48 +6022,430 @@ async function displayCharactersInListViewPopup() {
 }
 
 /**
- * Fetches a character by making an API call.
- * 
- * This function sends a POST request to the API_ENDPOINT_DOWNLOAD with a provided character's fullPath. 
- * It requests the character in the "tavern" format and the "main" version. Once the data is fetched, it 
- * is converted to a blob before being returned.
- * 
- * @async
- * @function
- * @param {string} fullPath - The unique path/reference for the character to be fetched.
- * @returns {Promise<Blob>} - Resolves with a Blob of the fetched character data.
- */
-async function getCharacter(fullPath) {
-    let response = await fetch(
-        API_ENDPOINT_DOWNLOAD,
-        {
-            method: "POST",
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                fullPath: fullPath,
-                format: "tavern",
-                version: "main"
-            }),
+ * Downloads the "tavern" format card of a CHub character.
+ * @param {Object} character - The normalized character object. Its `version` selects a revision, the latest by default.
+ * @returns {Promise<Blob>} - The card PNG. Rejects if the download failed.
+ */
+async function fetchChubCard(character) {
+    const response = await fetch(API_ENDPOINT_DOWNLOAD, {
+        method: "POST",
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            fullPath: character.fullPath,
+            format: "tavern",
+            version: character.version || "main"
+        }),
+    });
+
+    if (!response.ok) {
+        throw new Error(`Failed to download character card: ${response.status}`);
+    }
+    return await response.blob();
+}
+
+/**
+ * Lists the revisions of a CHub character, newest first.
+ * @param {Object} character - The normalized character object.
+ * @returns {Promise<Array<{id: string, label: string, date: string, message: string}>>} - The card versions. Rejects if the history could not be loaded.
+ */
+async function fetchChubVersions(character) {
+    const projectId = character.projectId || (await fetchChubProject(character.fullPath)).id;
+    const response = await fetch(`${CHUB_PROJECT_ENDPOINT}/${projectId}/repository/commits`);
+    if (!response.ok) {
+        throw new Error(`Failed to load the version history: ${response.status}`);
+    }
+    const commits = await response.json();
+    return (Array.isArray(commits) ? commits : commits.data || []).map(commit => ({
+        id: commit.id,
+        label: commit.short_id || String(commit.id).slice(0, 8),
+        date: commit.committed_date || commit.created_at || '',
+        message: (commit.title || commit.message || '').trim()
+    }));
+}
+
+/**
+ * Downloads a CHub lorebook search result.
+ * @param {Object} item - The normalized search result.
+ * @returns {Promise<{name: string, data: Object}>} - The lorebook name and World Info data. Rejects if the download failed.
+ */
+async function fetchChubLorebookResult(item) {
+    return { name: item.originalName || item.name, data: await fetchChubLorebook(item.fullPath) };
+}
+
+/**
+ * Downloads a CHub preset search result.
+ * @param {Object} item - The normalized search result.
+ * @returns {Promise<{name: string, preset: Object}>} - The preset name and data. Rejects if the download failed.
+ */
+async function fetchChubPresetResult(item) {
+    const response = await fetch(CHUB_PRESET_DOWNLOAD_ENDPOINT, {
+        method: "POST",
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            fullPath: item.fullPath,
+            format: "SILLYTAVERN",
+            version: "main"
+        }),
+    });
+
+    if (!response.ok) {
+        throw new Error(`Failed to download preset ${item.fullPath}: ${response.status}`);
+    }
+    const data = await response.json();
+    return { name: item.originalName || item.name, preset: data.definition || data };
+}
+
+/**
+ * Loads the full CHub project node of a character, with its definition and linked resources.
+ * @param {string} fullPath - The character's CHub path (author/name).
+ * @returns {Promise<Object>} - The project node. Rejects if the request failed.
+ */
+async function fetchChubProject(fullPath) {
+    const response = await fetch(`${CHUB_CHARACTER_ENDPOINT}/${fullPath}?full=true`);
+    if (!response.ok) {
+        throw new Error(`Failed to load CHub project ${fullPath}: ${response.status}`);
+    }
+    const data = await response.json();
+    return data.node || data;
+}
+
+/**
+ * Resolves a CHub project id to its path, as CHub lists linked lorebooks by id.
+ * @param {number|string} id - The project id, or an already resolved path.
+ * @returns {Promise<{fullPath: string, name: string}>} - The lorebook path (without the "lorebooks/" prefix) and name.
+ */
+async function resolveChubLorebook(id) {
+    if (typeof id === 'string' && id.includes('/')) {
+        const fullPath = id.replace(/^lorebooks\//, '');
+        return { fullPath, name: fullPath.split('/').pop() };
+    }
+
+    const response = await fetch(`${CHUB_PROJECT_ENDPOINT}/${id}`);
+    if (!response.ok) {
+        throw new Error(`Failed to resolve CHub lorebook ${id}: ${response.status}`);
+    }
+    const project = await response.json();
+    const fullPath = String(project.path_with_namespace || project.fullPath || project.node?.fullPath || '').replace(/^lorebooks\//, '');
+    if (!fullPath) {
+        throw new Error(`CHub lorebook ${id} has no path`);
+    }
+    return { fullPath, name: project.name || project.node?.name || fullPath.split('/').pop() };
+}
+
+/**
+ * Downloads a CHub lorebook in SillyTavern's World Info format.
+ * @param {string} fullPath - The lorebook's CHub path (author/name).
+ * @returns {Promise<Object>} - The World Info data. Rejects if the download failed.
+ */
+async function fetchChubLorebook(fullPath) {
+    const response = await fetch(CHUB_LOREBOOK_DOWNLOAD_ENDPOINT, {
+        method: "POST",
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            fullPath: fullPath,
+            format: "SILLYTAVERN",
+            version: "main"
+        }),
+    });
+
+    if (!response.ok) {
+        throw new Error(`Failed to download lorebook ${fullPath}: ${response.status}`);
+    }
+    return await response.json();
+}
+
+/**
+ * Converts an embedded V2/V3 `character_book` to SillyTavern's World Info format.
+ * @param {Object} characterBook - The card's character book.
+ * @returns {Object} - The World Info data.
+ */
+function characterBookToWorldInfo(characterBook) {
+    const entries = {};
+    (characterBook.entries || []).forEach((entry, index) => {
+        const extensions = entry.extensions || {};
+        const uid = Number.isInteger(entry.id) ? entry.id : index;
+        entries[uid] = {
+            uid: uid,
+            key: entry.keys || [],
+            keysecondary: entry.secondary_keys || [],
+            comment: entry.comment || entry.name || '',
+            content: entry.content || '',
+            constant: entry.constant || false,
+            selective: entry.selective || false,
+            selectiveLogic: extensions.selectiveLogic ?? 0,
+            order: entry.insertion_order ?? 100,
+            position: extensions.position ?? (entry.position === 'before_char' ? 0 : 1),
+            disable: entry.enabled === false,
+            addMemo: !!entry.comment,
+            excludeRecursion: extensions.exclude_recursion ?? false,
+            probability: extensions.probability ?? 100,
+            useProbability: extensions.useProbability ?? true,
+            depth: extensions.depth ?? 4,
+            group: extensions.group ?? '',
+            displayIndex: extensions.display_index ?? index,
+        };
+    });
+    return { entries, originalData: characterBook };
+}
+
+/**
+ * Reads which source an existing World Info file was imported from, see saveWorldInfoFile.
+ * @param {string} name - The World Info name.
+ * @returns {Promise<string|null>} - The source, or null for files this extension did not import.
+ */
+async function getWorldInfoSource(name) {
+    const response = await fetch('/api/worldinfo/get', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ name }),
+    });
+    if (!response.ok) {
+        return null;
+    }
+    const data = await response.json();
+    return data?.[EXTENSION_DATA_KEY]?.source || null;
+}
+
+/**
+ * Saves a World Info file and records its source in it. A file of the same name that was imported
+ * from the same source is updated; any other file of that name is kept and a number is appended.
+ * @param {string} name - The World Info name.
+ * @param {Object} data - The World Info data.
+ * @param {string} source - Identifies where the lorebook came from, e.g. "card:chub:author/name".
+ * @returns {Promise<string>} - The name the file was saved under.
+ */
+async function saveWorldInfoFile(name, data, source) {
+    let worldName = name;
+    for (let copy = 2; world_names.includes(worldName); copy++) {
+        if (await getWorldInfoSource(worldName) === source) {
+            console.log(`Updating World Info "${worldName}" from ${source}`);
+            break;
         }
-    );
+        worldName = `${name} (${copy})`;
+    }
 
-    // If the request failed, try a backup endpoint - https://avatars.charhub.io/{fullPath}/avatar.webp
+    const response = await fetch('/api/worldinfo/edit', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ name: worldName, data: { ...data, [EXTENSION_DATA_KEY]: { source } } }),
+    });
     if (!response.ok) {
-        console.log(`Request failed for ${fullPath}, trying backup endpoint`);
-        response = await fetch(
-            `https://avatars.charhub.io/avatars/${fullPath}/avatar.webp`,
-            {
-                method: "GET",
-                headers: {
-                    'Content-Type': 'application/json'
-                },
+        throw new Error(`Failed to save World Info "${worldName}": ${response.status}`);
+    }
+    return worldName;
+}
+
+/**
+ * Creates World Info files for a card's embedded lorebook and, for CHub characters, the lorebooks
+ * the card links to. The first book is bound to the card through `extensions.world`, the others
+ * have to be bound as extra books once the character exists (see bindExtraLorebooks).
+ * @param {Object} character - The normalized character object.
+ * @param {Blob} cardBlob - The downloaded card PNG.
+ * @returns {Promise<{cardBlob: Blob, extraBooks: string[]}>} - The card bound to its primary lorebook, and the names of the other lorebooks.
+ */
+async function importCardLorebooks(character, cardBlob) {
+    if (!extension_settings.chub.importLorebooks) {
+        return { cardBlob, extraBooks: [] };
+    }
+
+    const buffer = await cardBlob.arrayBuffer();
+    const card = readCardFromPng(buffer);
+    if (!card || !card.data) {
+        return { cardBlob, extraBooks: [] };
+    }
+
+    const bookNames = [];
+    let created = 0;
+
+    const characterBook = card.data.character_book;
+    if (characterBook && Array.isArray(characterBook.entries) && characterBook.entries.length > 0) {
+        const name = characterBook.name || `${card.data.name}'s Lorebook`;
+        bookNames.push(await saveWorldInfoFile(name, characterBookToWorldInfo(characterBook), `card:${character.provider}:${character.fullPath || character.fullUrl}`));
+        created++;
+    }
+
+    if (character.provider === 'chub' && character.fullPath) {
+        try {
+            const project = await fetchChubProject(character.fullPath);
+            for (const id of project.related_lorebooks || []) {
+                try {
+                    const lorebook = await resolveChubLorebook(id);
+                    const worldName = await saveWorldInfoFile(lorebook.name, await fetchChubLorebook(lorebook.fullPath), `lorebook:chub:${lorebook.fullPath}`);
+                    if (!bookNames.includes(worldName)) bookNames.push(worldName);
+                    created++;
+                } catch (error) {
+                    console.error('Error importing linked lorebook:', id, error);
+                    toastr.warning(`Could not import a lorebook linked to ${character.name}: ${error.message}`);
+                }
             }
-        );
+        } catch (error) {
+            console.error('Error loading linked lorebooks:', character.fullPath, error);
+            toastr.warning(`Could not load the lorebooks linked to ${character.name}: ${error.message}`);
+        }
+    }
+
+    if (bookNames.length === 0) {
+        return { cardBlob, extraBooks: [] };
+    }
+    if (created > 0) {
+        await updateWorldInfoList();
+        toastr.info(`Imported ${created} lorebook${created === 1 ? '' : 's'} for ${character.name}`);
+    }
+
+    // Bind the name the book was actually saved under, the card's own `world` may name another file
+    const primaryBook = bookNames[0];
+    card.data.extensions = { ...card.data.extensions, world: primaryBook };
+    return {
+        cardBlob: writeCardToPng(buffer, card),
+        extraBooks: bookNames.filter(name => name !== primaryBook)
+    };
+}
+
+/**
+ * Binds additional lorebooks to an imported character, the way SillyTavern's "Additional Lorebooks"
+ * character setting does.
+ * @param {Object} importResult - The response of the character import, with the new `file_name`.
+ * @param {string[]} extraBooks - The World Info names to bind.
+ */
+function bindExtraLorebooks(importResult, extraBooks) {
+    if (!importResult || !importResult.file_name || extraBooks.length === 0) {
+        return;
+    }
+
+    world_info.charLore = world_info.charLore || [];
+    let charLore = world_info.charLore.find(entry => entry.name === importResult.file_name);
+    if (!charLore) {
+        charLore = { name: importResult.file_name, extraBooks: [] };
+        world_info.charLore.push(charLore);
+    }
+    charLore.extraBooks = [...new Set([...charLore.extraBooks, ...extraBooks])];
+    saveSettingsDebounced();
+}
+
+/**
+ * Lists a CHub character's expression sprites, which CHub keeps in the card's `chub` extension.
+ * @param {Object} card - The parsed card.
+ * @param {Object} character - The normalized character object.
+ * @returns {Promise<Object<string, string>>} - Expression label -> image URL.
+ */
+async function getChubExpressions(card, character) {
+    let expressions = card?.data?.extensions?.chub?.expressions;
+    if (!expressions && character.fullPath) {
+        const project = await fetchChubProject(character.fullPath);
+        expressions = project.definition?.extensions?.chub?.expressions || project.expressions;
+    }
+    return Object.fromEntries(Object.entries(expressions || {}).filter(([label, url]) => label && typeof url === 'string' && url.startsWith('http')));
+}
+
+/**
+ * Lists the image URLs of a CHub character's gallery.
+ * @param {Object} character - The normalized character object.
+ * @returns {Promise<string[]>} - The gallery image URLs.
+ */
+async function getChubGalleryImages(character) {
+    const projectId = character.projectId || (await fetchChubProject(character.fullPath)).id;
+    const response = await fetch(`${CHUB_GALLERY_ENDPOINT}/${projectId}?nsfw=true&page=1&limit=100`);
+    if (!response.ok) {
+        throw new Error(`Failed to load the gallery: ${response.status}`);
+    }
+    const data = await response.json();
+    const nodes = data.nodes || data.data?.nodes || [];
+    return nodes.map(node => node.primary_image_path || node.image_url).filter(url => url);
+}
+
+/**
+ * Downloads a CHub character's expression sprites and gallery images, as enabled in the settings,
+ * and installs them into SillyTavern's sprite and gallery folders named after the imported avatar file.
+ * Failures are reported but do not fail the import.
+ * @param {Object} character - The normalized character object.
+ * @param {Object} importResult - The response of the character import, with the new `file_name`.
+ * @param {Blob} cardBlob - The imported card PNG.
+ * @returns {Promise<void>}
+ */
+async function importCharacterMedia(character, importResult, cardBlob) {
+    const { importExpressions, importGallery } = extension_settings.chub;
+    if (character.provider !== 'chub' || !importResult || !importResult.file_name || (!importExpressions && !importGallery)) {
+        return;
+    }
+
+    const card = readCardFromPng(await cardBlob.arrayBuffer());
+    // Both kinds of media go to the folder named after the imported avatar file, which SillyTavern may have renamed
+    const folder = importResult.file_name;
+    let sprites = 0;
+    let images = 0;
+
+    if (importExpressions) {
+        try {
+            const expressions = await getChubExpressions(card, character);
+            await runWithConcurrency(Object.entries(expressions), IMPORT_CONCURRENCY, async ([label, url]) => {
+                const image = await fetchAvatarBlob(url);
+                if (!image) return;
+                const formData = new FormData();
+                formData.append('name', folder);
+                formData.append('label', label);
+                formData.append('avatar', image, `${label}.${getImageExtension(image)}`);
+
+                // Get headers but exclude Content-Type for FormData
+                const headers = { ...getRequestHeaders() };
+                delete headers['Content-Type'];
+                delete headers['content-type'];
+
+                const response = await fetch('/api/sprites/upload', {
+                    method: 'POST',
+                    headers: headers,
+                    body: formData,
+                });
+                if (response.ok) sprites++;
+            });
+        } catch (error) {
+            console.error('Error importing expressions:', character.fullPath, error);
+            toastr.warning(`Could not import the expressions of ${character.name}: ${error.message}`);
+        }
+    }
+
+    if (importGallery && character.hasGallery !== false) {
+        try {
+            const urls = await getChubGalleryImages(character);
+            await runWithConcurrency(urls.map((url, index) => ({ url, index })), IMPORT_CONCURRENCY, async ({ url, index }) => {
+                const image = await fetchAvatarBlob(url);
+                if (!image) return;
+                const response = await fetch('/api/images/upload', {
+                    method: 'POST',
+                    headers: getRequestHeaders(),
+                    body: JSON.stringify({
+                        image: encodeBase64Bytes(new Uint8Array(await image.arrayBuffer())),
+                        format: getImageExtension(image),
+                        ch_name: folder,
+                        filename: `chub_${index + 1}`,
+                    }),
+                });
+                if (response.ok) images++;
+            });
+        } catch (error) {
+            console.error('Error importing gallery:', character.fullPath, error);
+            toastr.warning(`Could not import the gallery of ${character.name}: ${error.message}`);
+        }
+    }
+
+    if (sprites > 0 || images > 0) {
+        toastr.info(`Imported ${sprites} expression${sprites === 1 ? '' : 's'} and ${images} gallery image${images === 1 ? '' : 's'} for ${character.name}`);
     }
-    let data = await response.blob();
-    return data;
+}
+
+/**
+ * Gets the file extension of an image blob from its MIME type.
+ * @param {Blob} image - The image.
+ * @returns {string} - The extension, "png" if the type is unknown.
+ */
+function getImageExtension(image) {
+    const extension = (image.type || '').split('/')[1];
+    return extension ? extension.replace('jpeg', 'jpg').replace(/\+.*$/, '') : 'png';
 }
 
 /**
@@ -1765,4 +6463,5 @@ jQuery(async () => {
     });
 
     loadSettings();
+    restoreLearnedTags();
 });